@@ -1,15 +1,34 @@
 'use client';
 
-import { useState, useEffect, useRef, useMemo } from 'react';
+import { useState, useEffect, useEffectEvent, useRef, useMemo } from 'react';
 import { useCharacterData } from '@/lib/hooks/useCharacterData';
 import { useDarkDawnData } from '@/lib/hooks/useDarkDawnData';
-import { getUsedBooks, checkBookSpecial } from '@/lib/utils/books';
+import { useHistory } from '@/lib/hooks/useHistory';
+import { BookSelection, checkBookSpecial } from '@/lib/utils/books';
+import { loadSettings, saveSettings } from '@/lib/utils/settings';
+import { addHomebrewBooks, mergeHomebrew, loadHomebrewBooks, saveHomebrewBooks } from '@/lib/utils/homebrew';
+import { loadRaceWeights, saveRaceWeights } from '@/lib/utils/raceWeights';
+import { getRegion } from '@/lib/utils/regions';
 import Generate from '@/lib/generators/character';
 import DarkDawnGenerate from '@/lib/generators/darkdawn';
+import DarkDawnSheet from '@/lib/generators/darkdawnSheet';
+import Devotion from '@/lib/generators/devotion';
 import Life from '@/lib/generators/life';
 import NPC from '@/lib/generators/npc';
+import Abilities from '@/lib/generators/abilities';
+import Levels from '@/lib/generators/levels';
+import Equipment from '@/lib/generators/equipment';
+import Spells from '@/lib/generators/spells';
+import Random from '@/lib/utils/random';
+import Trace from '@/lib/utils/trace';
 import CardRenderer from '@/lib/utils/cardRenderer';
-import { exportDarkDawnToPDF } from '@/lib/utils/pdfExporter';
+import { exportDarkDawnToPDF, exportCharacterToPDF } from '@/lib/utils/pdfExporter';
+import {
+  createCharacterDocument,
+  parseCharacterDocument,
+  downloadCharacterDocument,
+} from '@/lib/utils/characterFile';
+import { createPermalink, readPermalink } from '@/lib/utils/permalink';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
@@ -19,8 +38,24 @@ import { Checkbox } from '@/components/ui/checkbox';
 import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
 import { LockKeyholeIcon } from '@/components/ui/icons/lucide-lock-keyhole';
 import { LockKeyholeOpenIcon } from '@/components/ui/icons/lucide-lock-keyhole-open';
+import DiceRoller from '@/components/DiceRoller';
+import RosterPanel from '@/components/RosterPanel';
+import HistoryPanel from '@/components/HistoryPanel';
+import ProfilePanel from '@/components/ProfilePanel';
+import HomebrewPanel from '@/components/HomebrewPanel';
+import RaceWeightsPanel from '@/components/RaceWeightsPanel';
+import TracePanel from '@/components/TracePanel';
+import DarkDawnExclusionsPanel from '@/components/DarkDawnExclusionsPanel';
+import DevotionPanel from '@/components/DevotionPanel';
+import DarkDawnSheetPanel from '@/components/DarkDawnSheetPanel';
 import './dnd-char-gen.css';
 
+// Book checkboxes, in two columns
+const BOOK_COLUMNS = [
+  ['PHB', 'VGtM', 'MR', 'XGtE', 'MToF', 'TCoE', 'EE', 'SCAG', 'DMG'],
+  ['Mod', 'EBR', 'EGtW', 'GGtR', 'MOoT', 'AI', 'Other', 'UA'],
+];
+
 /**
  * Recursively render nested character data structure
  * Converts {name, content} structure into nested lists
@@ -104,25 +139,68 @@ function renderObjectProperties(obj, keyPrefix = '') {
   });
 }
 
+/**
+ * Pick the seed for the next generation
+ * A typed seed that differs from the current one (or a locked seed) is reused,
+ * otherwise a fresh seed is created.
+ * @param {string} seedInput - Value of the seed input
+ * @param {string} currentSeed - Seed of the character currently shown
+ * @param {boolean} locked - Whether the seed is locked
+ * @returns {string} Seed to generate with
+ */
+function resolveSeed(seedInput, currentSeed, locked) {
+  const typedSeed = seedInput.trim();
+  if (typedSeed.length > 0 && (locked || typedSeed !== currentSeed)) return typedSeed;
+  return Random.CreateSeed();
+}
+
+/**
+ * Apply imported locks to the current locks, ignoring locks this page doesn't have
+ * @param {Object} currentLocks - Current lock state
+ * @param {Object} importedLocks - Locks from an imported file
+ * @returns {Object} New lock state
+ */
+function mergeLocks(currentLocks, importedLocks) {
+  const merged = { ...currentLocks };
+  for (let lock in currentLocks) {
+    if (lock in importedLocks) merged[lock] = importedLocks[lock];
+  }
+  return merged;
+}
+
 export default function CharacterGeneratorPage() {
   // System selector
   const [gameSystem, setGameSystem] = useState('darkdawn'); // 'dnd' or 'darkdawn'
 
   // Load JSON data
-  const { data, loading, error } = useCharacterData();
+  const { data: baseData, loading, error } = useCharacterData();
   const { data: ddData, loading: ddLoading, error: ddError } = useDarkDawnData();
 
-  // Character state
-  const [character, setCharacter] = useState({});
-  const [prevCharacters, setPrevCharacters] = useState([]);
+  // Character state (with undo/redo history)
+  const characterHistory = useHistory({});
+  const character = characterHistory.value;
+  const setCharacter = characterHistory.set;
 
   // Dark Dawn character state
-  const [ddCharacter, setDDCharacter] = useState({});
+  const ddCharacterHistory = useHistory({});
+  const ddCharacter = ddCharacterHistory.value;
+  const setDDCharacter = ddCharacterHistory.set;
+  // The character's deity as in the current data (saved characters may carry an older copy)
+  const ddDeity =
+    Object.values(ddData?.deities || {}).find((deity) => deity.name === ddCharacter.Deity?.name) ||
+    ddCharacter.Deity;
 
   // Configuration state
   const [characterType, setCharacterType] = useState('either');
   const [cardType, setCardType] = useState('summary'); // personality, characteristics, or plaintext
   const [uploadedImage, setUploadedImage] = useState(null); // Uploaded character image
+  const [seedInput, setSeedInput] = useState(''); // Seed shown in (and typed into) the seed input
+  const [explain, setExplain] = useState(false); // Record a trace of generation decisions
+  const [trace, setTrace] = useState(null); // Trace of the last explained generation
+
+  // Selected sourcebooks (null until the user changes them, meaning the defaults from books.json)
+  const [selectedBooks, setSelectedBooks] = useState(() => loadSettings().books || null);
+  const [homebrewBooks, setHomebrewBooks] = useState(() => loadHomebrewBooks());
 
   // Dropdown selections
   const [selectedGender, setSelectedGender] = useState('Random');
@@ -132,10 +210,26 @@ export default function CharacterGeneratorPage() {
 
   // Radio button selections
   const [raceRandomizer, setRaceRandomizer] = useState('normal');
+  const [raceWeights, setRaceWeights] = useState(() => loadRaceWeights()); // The user's race weight overrides
+  const [selectedRegion, setSelectedRegion] = useState('None'); // Region whose demographics are rolled
   const [ethnicityType, setEthnicityType] = useState('standard');
 
+  // Ability score options
+  const [abilityMethod, setAbilityMethod] = useState('4d6');
+  const [abilityBonusMode, setAbilityBonusMode] = useState('racial');
+
+  // Level options
+  const [level, setLevel] = useState('1');
+  const [hpMode, setHpMode] = useState('average');
+  const [classCount, setClassCount] = useState('1');
+
+  // Equipment options
+  const [equipmentMode, setEquipmentMode] = useState('equipment');
+
   // Refs
   const canvasRef = useRef(null);
+  const importInputRef = useRef(null);
+  const [importMessage, setImportMessage] = useState(null); // {error, text} shown after a JSON import
 
   // Lock state
   const [locks, setLocks] = useState({
@@ -147,16 +241,25 @@ export default function CharacterGeneratorPage() {
     class: false,
     background: false,
     life: false,
+    abilities: false,
+    level: false,
+    spells: false,
+    inventory: false,
+    seed: false,
   });
 
   // Dark Dawn states
   const [ddName, setDDName] = useState('');
+  const [ddSeedInput, setDDSeedInput] = useState('');
   const [selectedDDRace, setSelectedDDRace] = useState('Random');
   const [selectedDDFaction, setSelectedDDFaction] = useState('Random');
   const [selectedDDFactionAbility, setSelectedDDFactionAbility] = useState('Random');
   const [selectedDDDeity, setSelectedDDDeity] = useState('Random');
   const [selectedDDClass, setSelectedDDClass] = useState('Random');
   const [selectedDDSpecialAbility, setSelectedDDSpecialAbility] = useState('Random');
+  const [ddExclusions, setDDExclusions] = useState({}); // Names never picked at random, keyed like the locks
+  const [ddLoreStrict, setDDLoreStrict] = useState(true); // Follow the Dark Dawn compatibility rules
+  const [ddRollRank, setDDRollRank] = useState(false); // Roll the special ability's starting rank
 
   // Dark Dawn locks
   const [ddLocks, setDDLocks] = useState({
@@ -167,6 +270,8 @@ export default function CharacterGeneratorPage() {
     deity: false,
     class: false,
     specialAbility: false,
+    seed: false,
+    sheet: false,
   });
 
   /**
@@ -199,10 +304,26 @@ export default function CharacterGeneratorPage() {
     return options;
   };
 
-  // Dropdown options computed from data
+  // Book selection bound to the book checkboxes (official and homebrew books)
+  const bookSelection = useMemo(() => {
+    if (!baseData) return null;
+    const booksData = addHomebrewBooks(baseData.books, homebrewBooks);
+    return selectedBooks ? BookSelection.Create(booksData, selectedBooks) : BookSelection.Create(booksData);
+  }, [baseData, homebrewBooks, selectedBooks]);
+
   const usedBooks = useMemo(() => {
-    return data ? getUsedBooks(data.books) : [];
-  }, [data]);
+    return bookSelection ? BookSelection.UsedBooks(bookSelection) : [];
+  }, [bookSelection]);
+
+  // Data with homebrew books merged in
+  const data = useMemo(() => {
+    return baseData ? mergeHomebrew(baseData, homebrewBooks, usedBooks) : null;
+  }, [baseData, homebrewBooks, usedBooks]);
+
+  // Homebrew books are listed after the official books
+  const bookColumns = [BOOK_COLUMNS[0], BOOK_COLUMNS[1].concat(homebrewBooks.map((book) => book.code))];
+
+  // Dropdown options computed from data
 
   const raceOptions = useMemo(() => {
     return data ? getDropdownOptions(data.races, usedBooks) : [];
@@ -254,6 +375,54 @@ export default function CharacterGeneratorPage() {
     CardRenderer.render(canvasRef.current, character, characterType, usedBooks, cardType, uploadedImage);
   }, [gameSystem, character, ddCharacter, cardType, data, ddData, characterType, uploadedImage, usedBooks]);
 
+  /**
+   * Select or deselect a sourcebook and remember the choice
+   * @param {string} book - Book code
+   * @param {boolean} checked - Whether the book is selected
+   */
+  const handleToggleBook = (book, checked) => {
+    const newSelection = BookSelection.Toggle(bookSelection, book, checked);
+    setSelectedBooks(newSelection.selected);
+    saveSettings({ books: newSelection.selected });
+  };
+
+  /**
+   * Register or remove homebrew books
+   * @param {Array} newHomebrewBooks - Homebrew books
+   */
+  const handleHomebrewChange = (newHomebrewBooks) => {
+    setHomebrewBooks(newHomebrewBooks);
+    saveHomebrewBooks(newHomebrewBooks);
+  };
+
+  /**
+   * Change the race weight overrides and remember them
+   * @param {Object} newRaceWeights - Race names mapped to weights
+   */
+  const handleRaceWeightsChange = (newRaceWeights) => {
+    setRaceWeights(newRaceWeights);
+    saveRaceWeights(newRaceWeights);
+  };
+
+  /**
+   * Switch to a campaign profile's books, randomizer modes and default dropdowns
+   * Dropdown values that don't exist in the data fall back to Random
+   * @param {Object} profile - Campaign profile
+   */
+  const handleApplyProfile = (profile) => {
+    const books = BookSelection.Create(data.books, profile.books).selected;
+    setSelectedBooks(books);
+    saveSettings({ books: books });
+    setRaceRandomizer(profile.raceRandomizer);
+    setEthnicityType(profile.ethnicityType);
+
+    const { gender, race, background } = profile.selections;
+    setSelectedGender(['Male', 'Female', 'Nonbinary or Unknown'].includes(gender) ? gender : 'Random');
+    setSelectedRace(data.races[race] ? race : 'Random');
+    setSelectedClass(data.classes[profile.selections.class] ? profile.selections.class : 'Random');
+    setSelectedBackground(data.backgrounds[background] ? background : 'Random');
+  };
+
   /**
    * Toggle lock state for a specific attribute
    * @param {string} lockKey - Key of the lock to toggle
@@ -278,6 +447,11 @@ export default function CharacterGeneratorPage() {
       class: true,
       background: true,
       life: true,
+      abilities: true,
+      level: true,
+      spells: true,
+      inventory: true,
+      seed: true,
     });
   };
 
@@ -294,6 +468,11 @@ export default function CharacterGeneratorPage() {
       class: false,
       background: false,
       life: false,
+      abilities: false,
+      level: false,
+      spells: false,
+      inventory: false,
+      seed: false,
     });
   };
 
@@ -333,12 +512,14 @@ export default function CharacterGeneratorPage() {
     if (!data) return null;
 
     // Use state values for ethnicity type (with fallback for 'both' option)
+    // Generate.All re-picks 'both' from the seeded generator
     const ethnicityOption = ethnicityType === 'both'
-      ? Math.random() < 0.5 ? 'standard' : 'real'
+      ? Random.Array(['standard', 'real'])
       : ethnicityType;
 
     // Use state value for race mode
     const raceMode = raceRandomizer;
+    const region = getRegion(data.regions, selectedRegion);
 
     // Use state values for dropdowns
     const raceMenuValue = selectedRace;
@@ -350,18 +531,44 @@ export default function CharacterGeneratorPage() {
     return {
       data,
       character,
+      bookSelection,
       usedBooks,
       locks,
+      ethnicityType,
       ethnicityOption,
       raceMode,
+      raceWeights,
+      region,
       raceMenuValue,
       genderMenuValue,
       classMenuValue,
       backgroundMenuValue,
       nameInputValue,
+      abilityMethod,
+      abilityBonusMode,
+      level: parseInt(level),
+      hpMode,
+      classCount: parseInt(classCount),
+      equipmentMode,
     };
   };
 
+  /**
+   * Run a generator, recording a trace of its decisions when explain mode is on
+   * @param {string} label - What is generated, e.g. 'Character'
+   * @param {Function} generate - Generation to run
+   * @returns {*} Whatever generate returns
+   */
+  const runExplained = (label, generate) => {
+    if (!explain) return generate();
+    Trace.Start(label);
+    try {
+      return generate();
+    } finally {
+      setTrace(Trace.Stop());
+    }
+  };
+
   /**
    * Handle character generation
    */
@@ -378,8 +585,19 @@ export default function CharacterGeneratorPage() {
     // Pass existing character so locks can preserve values
     context.character = character;
     context.mcEthnicity = '';
-    const newCharacter = Generate.All(context);
-    setCharacter(newCharacter);
+    context.seed = resolveSeed(seedInput, character.Seed || '', locks.seed);
+    const newCharacter = runExplained('Character', () => Generate.All(context));
+    setCharacter(newCharacter, 'Character');
+    setSeedInput(newCharacter.Seed);
+  };
+
+  /**
+   * Copy a seed to the clipboard
+   * @param {string} seed - Seed to copy
+   */
+  const handleCopySeed = (seed) => {
+    if (!seed) return;
+    navigator.clipboard?.writeText(seed);
   };
 
   /**
@@ -389,8 +607,8 @@ export default function CharacterGeneratorPage() {
     const context = buildContext();
     if (!context) return;
 
-    const newRace = Generate.Race(context);
-    setCharacter({ ...character, Race: newRace });
+    const newRace = runExplained('Race', () => Generate.Race(context));
+    setCharacter({ ...character, Race: newRace }, 'Race');
   };
 
   /**
@@ -400,8 +618,15 @@ export default function CharacterGeneratorPage() {
     const context = buildContext();
     if (!context) return;
 
-    const newClass = Generate.Class(context);
-    setCharacter({ ...character, Class: newClass });
+    const newClass = runExplained('Class', () => Generate.Class(context));
+    if (!character.Level) {
+      const newSpells = Generate.Spells({ ...context, character: { ...character, Class: newClass } });
+      setCharacter({ ...character, Class: newClass, Spells: newSpells }, 'Class');
+      return;
+    }
+
+    // A new class brings a new hit die, ability score priorities and multiclass options
+    setCharacter({ ...character, ...buildLevelParts(context, newClass) }, 'Class');
   };
 
   /**
@@ -411,8 +636,75 @@ export default function CharacterGeneratorPage() {
     const context = buildContext();
     if (!context) return;
 
-    const newBackground = Generate.Background(context);
-    setCharacter({ ...character, Background: newBackground });
+    const newBackground = runExplained('Background', () => Generate.Background(context));
+    setCharacter({ ...character, Background: newBackground }, 'Background');
+  };
+
+  /**
+   * Generate ability scores
+   */
+  const handleGenerateAbilities = () => {
+    const context = buildContext();
+    if (!context) return;
+
+    if (!character.Race || !character.Class) {
+      alert('Please generate a race and class first!');
+      return;
+    }
+
+    const abilities = Generate.Abilities(context);
+    setCharacter({ ...character, Abilities: abilities }, 'Ability Scores');
+  };
+
+  /**
+   * Generate level, hit points and ability score improvements
+   */
+  const handleGenerateLevel = () => {
+    const context = buildContext();
+    if (!context) return;
+
+    if (!character.Class) {
+      alert('Please generate a class first!');
+      return;
+    }
+
+    // Gaining or losing levels can add or remove the subclass
+    const newClass = Levels.FitSubclass(character.Class, context.level, context);
+    setCharacter({ ...character, ...buildLevelParts(context, newClass) }, 'Level');
+  };
+
+  /**
+   * Regenerate level and spells for a class
+   * The primary class's subclass is fitted to its own level once the levels are split
+   * @param {Object} context - Generation context
+   * @param {Object} classObj - Primary class object
+   * @returns {Object} {Class, Level, Spells}
+   */
+  const buildLevelParts = (context, classObj) => {
+    const levelCharacter = { ...character, Class: classObj };
+    const newLevel = Generate.Level({ ...context, character: levelCharacter });
+    const newClass = Levels.FitSubclass(classObj, newLevel.Classes[0].Level, context);
+    const newSpells = Generate.Spells({
+      ...context,
+      character: { ...levelCharacter, Class: newClass, Level: newLevel },
+    });
+    return { Class: newClass, Level: newLevel, Spells: newSpells };
+  };
+
+  /**
+   * Generate cantrips and known/prepared spells
+   */
+  const handleGenerateSpells = () => {
+    const context = buildContext();
+    if (!context) return;
+
+    if (!character.Class) {
+      alert('Please generate a class first!');
+      return;
+    }
+
+    const spells = Generate.Spells(context);
+    setCharacter({ ...character, Spells: spells }, 'Spells');
   };
 
   /**
@@ -425,10 +717,7 @@ export default function CharacterGeneratorPage() {
     context.character = character;
     const gender = Generate.Gender(context);
 
-    setCharacter({
-      ...character,
-      Gender: gender,
-    });
+    setCharacter({ ...character, Gender: gender }, 'Gender');
   };
 
   /**
@@ -445,14 +734,9 @@ export default function CharacterGeneratorPage() {
 
     context.character = character;
     const gender = Generate.Gender(context);
-    const nameObj = Generate.Name({ ...context, character: { ...character, Gender: gender } });
+    const nameObj = runExplained('Name', () => Generate.Name({ ...context, character: { ...character, Gender: gender } }));
 
-    setCharacter({
-      ...character,
-      Gender: gender,
-      Name: nameObj.Name,
-      ShortName: nameObj.ShortName,
-    });
+    setCharacter({ ...character, Gender: gender, Name: nameObj.Name, ShortName: nameObj.ShortName }, 'Name');
   };
 
   /**
@@ -468,12 +752,25 @@ export default function CharacterGeneratorPage() {
     }
 
     context.character = character;
-    const life = Life.Get(context);
+    const life = runExplained('Life', () => Life.Get(context));
 
-    setCharacter({
-      ...character,
-      Life: life,
-    });
+    setCharacter({ ...character, Life: life }, 'Life');
+  };
+
+  /**
+   * Generate starting equipment and gold
+   */
+  const handleGenerateInventory = () => {
+    const context = buildContext();
+    if (!context) return;
+
+    if (!character.Class || !character.Background) {
+      alert('Please generate a class and background first!');
+      return;
+    }
+
+    const inventory = Generate.Inventory(context);
+    setCharacter({ ...character, Inventory: inventory }, 'Inventory');
   };
 
   /**
@@ -485,10 +782,7 @@ export default function CharacterGeneratorPage() {
 
     const traits = NPC.GetTraits(context.data);
 
-    setCharacter({
-      ...character,
-      NPCTraits: traits,
-    });
+    setCharacter({ ...character, NPCTraits: traits }, 'Traits');
   };
 
   /**
@@ -498,12 +792,9 @@ export default function CharacterGeneratorPage() {
     const context = buildContext();
     if (!context) return;
 
-    const occupation = NPC.GetOccupation(false);
+    const occupation = NPC.GetOccupation(context.data, false);
 
-    setCharacter({
-      ...character,
-      Occupation: occupation,
-    });
+    setCharacter({ ...character, Occupation: occupation }, 'Occupation');
   };
 
   /**
@@ -571,6 +862,11 @@ export default function CharacterGeneratorPage() {
         if (ddCharacter.Deity.description && ddCharacter.Deity.description !== 'undefined') {
           text += `  Description: ${ddCharacter.Deity.description}\n`;
         }
+        const devotion = Devotion.Get(ddCharacter);
+        text += `  Devotion: ${devotion.points}\n`;
+        Devotion.Effects(ddDeity, devotion.points)
+          .filter((effect) => effect.unlocked)
+          .forEach((effect) => (text += `  Effect: ${effect.effect}\n`));
         text += '\n';
       }
 
@@ -590,6 +886,25 @@ export default function CharacterGeneratorPage() {
         text += '\n';
       }
 
+      if (ddCharacter.Level) {
+        text += `Level: ${ddCharacter.Level.Level} (${ddCharacter.Level.Experience} XP)\n`;
+      }
+      if (ddCharacter.SpecialAbility?.name && ddCharacter.SpecialAbilityRank) {
+        text += `${ddCharacter.SpecialAbility.name} Rank: ${DarkDawnSheet.RankName(ddCharacter.SpecialAbilityRank, ddData.sheet)}\n`;
+        DarkDawnSheet.AbilityTiers(ddCharacter.SpecialAbility, ddData.sheet)
+          .filter((tier) => tier.unlock && tier.rank <= ddCharacter.SpecialAbilityRank)
+          .forEach((tier) => (text += `  ${tier.name}: ${tier.unlock}\n`));
+      }
+      if (ddCharacter.Stats) {
+        text += '\nStats:\n';
+        for (const stat in ddCharacter.Stats) {
+          text += `  ${stat}: ${ddCharacter.Stats[stat]}\n`;
+        }
+      }
+      if (ddCharacter.Inventory) {
+        text += `\nInventory: ${ddCharacter.Inventory.Items.map((item) => Equipment.FormatItem(item)).join(', ')}\n`;
+      }
+
       return text;
     }
 
@@ -614,7 +929,33 @@ export default function CharacterGeneratorPage() {
     }
 
     if (character.Class?.name) {
-      text += `Class: ${character.Class.name}\n`;
+      text += `Class: ${character.Level ? Levels.ClassString(character) : character.Class.name}\n`;
+    }
+
+    if (character.Level) {
+      text += `Level: ${character.Level.Level}\n`;
+      character.Level.Classes.forEach((classLevel) => {
+        if (classLevel.Subclass) {
+          text += `${classLevel.SubclassLabel}: ${classLevel.Subclass}\n`;
+        }
+      });
+      text += `Hit Points: ${character.Level.HitPoints} (${character.Level.HitDice})\n`;
+      text += `Proficiency Bonus: +${character.Level.ProficiencyBonus}\n`;
+      character.Level.Improvements.forEach((improvement) => {
+        text += `  ${Levels.ImprovementLabel(improvement)}: ${Levels.FormatImprovement(improvement)}\n`;
+      });
+    }
+
+    if (character.Spells) {
+      character.Spells.forEach((caster) => {
+        text += `\n${caster.Class} Spells (${caster.Ability}, save DC ${caster.SaveDC}, attack ${Abilities.FormatBonus(caster.AttackBonus)}):\n`;
+        if (caster.Cantrips.length > 0) {
+          text += `  ${Spells.LevelLabel(0)}: ${caster.Cantrips.join(', ')}\n`;
+        }
+        for (const spellLevel in caster.Spells) {
+          text += `  ${Spells.LevelLabel(spellLevel)}: ${caster.Spells[spellLevel].join(', ')}\n`;
+        }
+      });
     }
 
     if (character.Background?.name) {
@@ -625,6 +966,14 @@ export default function CharacterGeneratorPage() {
       text += `Occupation: ${character.Occupation}\n`;
     }
 
+    if (character.Abilities?.Scores) {
+      const scores = Abilities.Final(character.Abilities, character.Level?.Improvements);
+      text += `\nAbility Scores (${character.Abilities.Method}):\n`;
+      for (const ability in scores) {
+        text += `  ${ability}: ${Abilities.Format(scores[ability])}\n`;
+      }
+    }
+
     if (character.NPCTraits && Object.keys(character.NPCTraits).length > 0) {
       text += '\nDescription:\n';
       text += objectToPlainText(character.NPCTraits, 1);
@@ -640,6 +989,14 @@ export default function CharacterGeneratorPage() {
       text += objectToPlainText(character.Life, 1);
     }
 
+    if (character.Inventory) {
+      text += '\nInventory:\n';
+      character.Inventory.Items.forEach((item) => {
+        text += `  ${Equipment.FormatItem(item)}\n`;
+      });
+      text += `  Gold: ${character.Inventory.Gold} gp\n`;
+    }
+
     return text;
   };
 
@@ -684,6 +1041,41 @@ export default function CharacterGeneratorPage() {
     return options;
   };
 
+  /**
+   * Get the Dark Dawn dropdown selections, keyed like the locks
+   * @returns {Object} Chosen names ('Random' for random picks)
+   */
+  const getDDChoices = () => ({
+    race: selectedDDRace,
+    class: selectedDDClass,
+    faction: selectedDDFaction,
+    factionAbility: selectedDDFactionAbility,
+    deity: selectedDDDeity,
+    specialAbility: selectedDDSpecialAbility,
+  });
+
+  /**
+   * Get the weights for re-rolling one Dark Dawn attribute (lore-strict only)
+   * @param {string} key - Attribute key, e.g. 'deity'
+   * @param {Object} otherAttributes - Character the attribute has to fit with
+   * @returns {Function|null} Weight function, or null to ignore the rules
+   */
+  const getDDWeigher = (key, otherAttributes = ddCharacter) => {
+    return ddLoreStrict ? DarkDawnGenerate.RuleWeigher(ddData.rules, otherAttributes, key) : null;
+  };
+
+  /**
+   * Choose a Dark Dawn faction, resetting a faction ability the new faction doesn't have
+   * @param {string} factionName - Faction name or 'Random'
+   */
+  const handleSelectDDFaction = (factionName) => {
+    setSelectedDDFaction(factionName);
+    const faction = factionName !== 'Random' ? ddData?.factions[factionName] : ddCharacter.Faction;
+    if (!DarkDawnGenerate.GetFactionAbilityNames(faction).includes(selectedDDFactionAbility)) {
+      setSelectedDDFactionAbility('Random');
+    }
+  };
+
   /**
    * Toggle Dark Dawn lock
    * @param {string} lockKey - Key of the lock to toggle
@@ -707,6 +1099,8 @@ export default function CharacterGeneratorPage() {
       deity: true,
       class: true,
       specialAbility: true,
+      seed: true,
+      sheet: true,
     });
   };
 
@@ -722,99 +1116,271 @@ export default function CharacterGeneratorPage() {
       deity: false,
       class: false,
       specialAbility: false,
+      seed: false,
+      sheet: false,
     });
   };
 
   /**
    * Generate complete Dark Dawn character
-   * Applies selections from dropdowns and respects locks
+   * Applies selections from dropdowns and exclusions, and respects locks
    */
   const handleGenerateDDCharacter = () => {
     if (!ddData) return;
 
-    // Start with current character
-    let newCharacter = { ...ddCharacter };
+    // Seeded so the same seed gives the same picks
+    const newCharacter = DarkDawnGenerate.All(
+      ddData,
+      ddLocks,
+      ddCharacter,
+      ddName,
+      resolveSeed(ddSeedInput, ddCharacter.Seed || '', ddLocks.seed),
+      { choices: getDDChoices(), exclude: ddExclusions, loreStrict: ddLoreStrict, rollRank: ddRollRank }
+    );
 
-    // Apply name from input (if not locked)
-    if (!ddLocks.name) {
-      newCharacter.Name = ddName || '';
-    }
+    setDDCharacter(newCharacter, 'Character');
+    setDDSeedInput(newCharacter.Seed);
+    syncDDSelections(newCharacter);
+  };
 
-    // Apply Race (if not locked)
-    if (!ddLocks.race) {
-      if (selectedDDRace !== 'Random') {
-        newCharacter.Race = ddData.races[selectedDDRace];
-      } else {
-        newCharacter.Race = DarkDawnGenerate.Race(ddData.races, newCharacter, false);
-      }
+  /**
+   * Sync Dark Dawn dropdown selections with a character
+   * @param {Object} newCharacter - Dark Dawn character
+   */
+  const syncDDSelections = (newCharacter) => {
+    if (newCharacter.Name) {
+      setDDName(newCharacter.Name);
     }
+    setSelectedDDRace(newCharacter.Race?.name || 'Random');
+    setSelectedDDClass(newCharacter.Class?.name || 'Random');
+    setSelectedDDFaction(newCharacter.Faction?.name || 'Random');
+    setSelectedDDFactionAbility(newCharacter.FactionAbility?.name || 'Random');
+    setSelectedDDDeity(newCharacter.Deity?.name || 'Random');
+    setSelectedDDSpecialAbility(newCharacter.SpecialAbility?.name || 'Random');
+  };
 
-    // Apply Class (if not locked)
-    if (!ddLocks.class) {
-      if (selectedDDClass !== 'Random') {
-        newCharacter.Class = ddData.classes[selectedDDClass];
-      } else {
-        newCharacter.Class = DarkDawnGenerate.Class(ddData.classes, newCharacter, false);
-      }
+  /**
+   * Reopen a character saved in the roster
+   * @param {Object} entry - Roster entry
+   * @param {string} portrait - Saved portrait data URL (may be null)
+   */
+  const handleOpenRosterEntry = (entry, portrait) => {
+    setGameSystem(entry.system);
+    if (entry.system === 'darkdawn') {
+      setDDCharacter(entry.character, 'Opened from Roster');
+      setDDSeedInput(entry.character.Seed || '');
+      syncDDSelections(entry.character);
+    } else {
+      setCharacter(entry.character, 'Opened from Roster');
+      setSeedInput(entry.character.Seed || '');
     }
+    setUploadedImage(portrait);
+  };
 
-    // Apply Faction (if not locked)
-    if (!ddLocks.faction) {
-      if (selectedDDFaction !== 'Random') {
-        newCharacter.Faction = ddData.factions[selectedDDFaction];
-      } else {
-        newCharacter.Faction = DarkDawnGenerate.Faction(ddData.factions, newCharacter, false);
-      }
+  /**
+   * Create a character document of the current system's character
+   * @returns {Object} Character document
+   */
+  const buildCharacterDocument = () => {
+    const isDarkDawn = gameSystem === 'darkdawn';
+    return createCharacterDocument({
+      system: gameSystem,
+      character: isDarkDawn ? ddCharacter : character,
+      locks: isDarkDawn ? ddLocks : locks,
+      books: usedBooks,
+    });
+  };
+
+  /**
+   * Get the options the current system generates characters with (see generateFromSeed)
+   * @returns {Object} Generation options
+   */
+  const getGenerationOptions = () => {
+    if (gameSystem === 'darkdawn') {
+      return {
+        choices: getDDChoices(),
+        exclude: ddExclusions,
+        loreStrict: ddLoreStrict,
+        rollRank: ddRollRank,
+        name: ddName,
+      };
     }
+    return {
+      ethnicityType,
+      raceMode: raceRandomizer,
+      raceWeights,
+      region: selectedRegion,
+      raceMenuValue: selectedRace,
+      genderMenuValue: selectedGender,
+      classMenuValue: selectedClass,
+      backgroundMenuValue: selectedBackground,
+      nameInputValue: document.getElementById('name-input')?.value || '',
+      abilityMethod,
+      abilityBonusMode,
+      level: parseInt(level),
+      hpMode,
+      classCount: parseInt(classCount),
+      equipmentMode,
+    };
+  };
 
-    // Apply Faction Ability (if not locked)
-    if (!ddLocks.factionAbility) {
-      const faction = newCharacter.Faction;
-      if (faction) {
-        if (selectedDDFactionAbility !== 'Random') {
-          newCharacter.FactionAbility = faction.abilities.find(
-            ability => ability.name === selectedDDFactionAbility
-          );
-        } else {
-          newCharacter.FactionAbility = DarkDawnGenerate.FactionAbility(faction, newCharacter, false);
-        }
-      }
+  /**
+   * Generate a character from its seed alone, with no locks or previous character
+   * @param {string} system - 'dnd' or 'darkdawn'
+   * @param {string} seed - Seed
+   * @param {Object} options - Options from getGenerationOptions
+   * @param {Array|null} books - Books the character was made with (D&D only)
+   * @returns {Object} Character
+   */
+  const generateFromSeed = (system, seed, options, books) => {
+    if (system === 'darkdawn') {
+      const { name, ...ddOptions } = options;
+      return DarkDawnGenerate.All(ddData, {}, {}, name, seed, ddOptions);
     }
 
-    // Apply Deity (if not locked)
-    if (!ddLocks.deity) {
-      if (selectedDDDeity !== 'Random') {
-        newCharacter.Deity = ddData.deities[selectedDDDeity];
-      } else {
-        newCharacter.Deity = DarkDawnGenerate.Deity(ddData.deities, newCharacter, false);
-      }
+    const seedData = mergeHomebrew(baseData, homebrewBooks, books);
+    return Generate.All({
+      ...options,
+      data: seedData,
+      character: {},
+      usedBooks: books,
+      locks: {},
+      ethnicityOption: options.ethnicityType,
+      region: getRegion(seedData.regions, options.region),
+      mcEthnicity: '',
+      seed,
+    });
+  };
+
+  /**
+   * Download the current system's character as a JSON file
+   */
+  const handleExportJSON = () => {
+    downloadCharacterDocument(buildCharacterDocument());
+  };
+
+  /**
+   * Copy a link that restores the current character and card type
+   */
+  const handleCopyLink = async () => {
+    try {
+      const doc = buildCharacterDocument();
+      const options = getGenerationOptions();
+
+      // A character its seed and the current options reproduce only needs those in the link
+      // (homebrew books may differ on the machine opening it, so they always get the whole character)
+      const homebrewCodes = homebrewBooks.map((book) => book.code);
+      const reproducible =
+        doc.seed !== '' &&
+        !(doc.books || []).some((book) => homebrewCodes.includes(book)) &&
+        JSON.stringify(generateFromSeed(doc.system, doc.seed, options, doc.books)) === JSON.stringify(doc.character);
+
+      const link = await createPermalink(
+        doc,
+        cardType,
+        window.location.origin + window.location.pathname,
+        reproducible ? options : null
+      );
+      await navigator.clipboard.writeText(link);
+      setImportMessage({ error: false, text: 'Link copied to the clipboard.' });
+    } catch (err) {
+      setImportMessage({ error: true, text: 'Could not copy the link: ' + err.message });
     }
+  };
 
-    // Apply Special Ability (if not locked)
-    if (!ddLocks.specialAbility) {
-      if (selectedDDSpecialAbility !== 'Random') {
-        newCharacter.SpecialAbility = ddData.specialAbilities[selectedDDSpecialAbility];
-      } else {
-        newCharacter.SpecialAbility = DarkDawnGenerate.SpecialAbility(
-          ddData.specialAbilities,
-          newCharacter,
-          false
-        );
-      }
+  /**
+   * Show a character document (from a file or link) with its seed and locks
+   * @param {Object} doc - Validated character document
+   * @param {string} label - History label, e.g. 'Imported'
+   */
+  const applyCharacterDocument = (doc, label) => {
+    setGameSystem(doc.system);
+    if (doc.system === 'darkdawn') {
+      setDDCharacter(doc.character, label);
+      setDDSeedInput(doc.seed);
+      setDDLocks(mergeLocks(ddLocks, doc.locks));
+      syncDDSelections(doc.character);
+    } else {
+      setCharacter(doc.character, label);
+      setSeedInput(doc.seed);
+      setLocks(mergeLocks(locks, doc.locks));
     }
 
-    setDDCharacter(newCharacter);
+    // The book selection affects what the seed generates, so switch to the character's books
+    const booksChanged =
+      doc.books != null && doc.books.slice().sort().join() !== usedBooks.slice().sort().join();
+    if (doc.books != null) setSelectedBooks(doc.books.filter((book) => book !== 'Real' && book !== 'PHB'));
+    setImportMessage({
+      error: false,
+      text:
+        label + ': ' + (doc.character.Name || 'character') + '.' +
+        (booksChanged ? ' The book selection was switched to the books it was made with.' : ''),
+    });
+  };
 
-    // Sync dropdown selections with generated character
-    if (newCharacter.Name) {
-      setDDName(newCharacter.Name);
+  /**
+   * Restore a character from a permalink when the page is opened with one
+   */
+  const openPermalink = useEffectEvent(() => {
+    readPermalink(window.location.hash)
+      .then((link) => {
+        if (!link) return;
+        const { generate } = link;
+        const doc = generate
+          ? createCharacterDocument({
+              system: generate.system,
+              character: generateFromSeed(generate.system, generate.seed, generate.options, generate.books),
+              locks: generate.locks,
+              books: generate.books,
+            })
+          : link.document;
+        applyCharacterDocument(doc, 'Opened from Link');
+        setCardType(link.cardType);
+      })
+      .catch((err) => setImportMessage({ error: true, text: err.message }));
+  });
+
+  // Read the link once, when the page opens and the data it may generate from is loaded
+  const permalinkOpened = useRef(false);
+  useEffect(() => {
+    if (loading || ddLoading || permalinkOpened.current) return;
+    permalinkOpened.current = true;
+    openPermalink();
+  }, [loading, ddLoading]);
+
+  /**
+   * Import a character from a JSON file
+   * Older file versions are migrated; invalid files are reported without changing anything
+   */
+  const handleImportJSON = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        applyCharacterDocument(parseCharacterDocument(e.target.result), 'Imported');
+      } catch (err) {
+        setImportMessage({ error: true, text: err.message });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  /**
+   * Jump to an earlier (or undone) roll of the current system's character
+   * @param {number} index - History entry index
+   */
+  const handleHistoryJump = (index) => {
+    if (gameSystem === 'darkdawn') {
+      const restored = ddCharacterHistory.jumpTo(index);
+      setDDSeedInput(restored.Seed || '');
+      syncDDSelections(restored);
+    } else {
+      const restored = characterHistory.jumpTo(index);
+      setSeedInput(restored.Seed || '');
     }
-    setSelectedDDRace(newCharacter.Race?.name || 'Random');
-    setSelectedDDClass(newCharacter.Class?.name || 'Random');
-    setSelectedDDFaction(newCharacter.Faction?.name || 'Random');
-    setSelectedDDFactionAbility(newCharacter.FactionAbility?.name || 'Random');
-    setSelectedDDDeity(newCharacter.Deity?.name || 'Random');
-    setSelectedDDSpecialAbility(newCharacter.SpecialAbility?.name || 'Random');
   };
 
   /**
@@ -823,15 +1389,15 @@ export default function CharacterGeneratorPage() {
   const handleGenerateDDRace = () => {
     if (!ddData) return;
 
-    let newRace;
-    if (selectedDDRace !== 'Random') {
-      // Use selected race from dropdown
-      newRace = ddData.races[selectedDDRace];
-    } else {
-      // Generate random race
-      newRace = DarkDawnGenerate.Race(ddData.races, ddCharacter, ddLocks.race);
-    }
-    setDDCharacter({ ...ddCharacter, Race: newRace });
+    const newRace = DarkDawnGenerate.Race(
+      ddData.races,
+      ddCharacter,
+      ddLocks.race,
+      selectedDDRace,
+      ddExclusions.race,
+      getDDWeigher('race')
+    );
+    setDDCharacter({ ...ddCharacter, Race: newRace }, 'Race');
   };
 
   /**
@@ -840,22 +1406,30 @@ export default function CharacterGeneratorPage() {
   const handleGenerateDDFaction = () => {
     if (!ddData) return;
 
-    let newFaction;
-    if (selectedDDFaction !== 'Random') {
-      // Use selected faction from dropdown
-      newFaction = ddData.factions[selectedDDFaction];
-    } else {
-      // Generate random faction
-      newFaction = DarkDawnGenerate.Faction(ddData.factions, ddCharacter, ddLocks.faction);
-    }
-    setDDCharacter({ ...ddCharacter, Faction: newFaction });
+    const newFaction = DarkDawnGenerate.Faction(
+      ddData.factions,
+      ddCharacter,
+      ddLocks.faction,
+      selectedDDFaction,
+      ddExclusions.faction,
+      getDDWeigher('faction')
+    );
 
     // If faction ability was not locked, regenerate it for the new faction
     if (!ddLocks.factionAbility) {
-      const newAbility = DarkDawnGenerate.FactionAbility(newFaction, ddCharacter, false);
-      setDDCharacter((prev) => ({ ...prev, Faction: newFaction, FactionAbility: newAbility }));
+      const newAbility = DarkDawnGenerate.FactionAbility(
+        newFaction,
+        ddCharacter,
+        false,
+        selectedDDFactionAbility,
+        ddExclusions.factionAbility,
+        getDDWeigher('factionAbility', { ...ddCharacter, Faction: newFaction })
+      );
+      setDDCharacter({ ...ddCharacter, Faction: newFaction, FactionAbility: newAbility }, 'Faction');
       // Update the dropdown selection to match the generated ability
       setSelectedDDFactionAbility(newAbility?.name || 'Random');
+    } else {
+      setDDCharacter({ ...ddCharacter, Faction: newFaction }, 'Faction');
     }
   };
 
@@ -873,17 +1447,17 @@ export default function CharacterGeneratorPage() {
       return;
     }
 
-    let newAbility;
-    if (selectedDDFactionAbility !== 'Random') {
-      // Use selected ability from dropdown - find the full object by name
-      newAbility = faction.abilities.find(ability => ability.name === selectedDDFactionAbility);
-    } else {
-      // Generate random ability from faction
-      newAbility = DarkDawnGenerate.FactionAbility(faction, ddCharacter, ddLocks.factionAbility);
-      // Update the dropdown selection to match the generated ability
-      setSelectedDDFactionAbility(newAbility?.name || 'Random');
-    }
-    setDDCharacter({ ...ddCharacter, FactionAbility: newAbility });
+    const newAbility = DarkDawnGenerate.FactionAbility(
+      faction,
+      ddCharacter,
+      ddLocks.factionAbility,
+      selectedDDFactionAbility,
+      ddExclusions.factionAbility,
+      getDDWeigher('factionAbility')
+    );
+    // Update the dropdown selection to match the generated ability
+    setSelectedDDFactionAbility(newAbility?.name || 'Random');
+    setDDCharacter({ ...ddCharacter, FactionAbility: newAbility }, 'Faction Ability');
   };
 
   /**
@@ -892,15 +1466,15 @@ export default function CharacterGeneratorPage() {
   const handleGenerateDDDeity = () => {
     if (!ddData) return;
 
-    let newDeity;
-    if (selectedDDDeity !== 'Random') {
-      // Use selected deity from dropdown
-      newDeity = ddData.deities[selectedDDDeity];
-    } else {
-      // Generate random deity
-      newDeity = DarkDawnGenerate.Deity(ddData.deities, ddCharacter, ddLocks.deity);
-    }
-    setDDCharacter({ ...ddCharacter, Deity: newDeity });
+    const newDeity = DarkDawnGenerate.Deity(
+      ddData.deities,
+      ddCharacter,
+      ddLocks.deity,
+      selectedDDDeity,
+      ddExclusions.deity,
+      getDDWeigher('deity')
+    );
+    setDDCharacter({ ...ddCharacter, Deity: newDeity }, 'Deity');
   };
 
   /**
@@ -909,15 +1483,17 @@ export default function CharacterGeneratorPage() {
   const handleGenerateDDClass = () => {
     if (!ddData) return;
 
-    let newClass;
-    if (selectedDDClass !== 'Random') {
-      // Use selected class from dropdown
-      newClass = ddData.classes[selectedDDClass];
-    } else {
-      // Generate random class
-      newClass = DarkDawnGenerate.Class(ddData.classes, ddCharacter, ddLocks.class);
-    }
-    setDDCharacter({ ...ddCharacter, Class: newClass });
+    const newClass = DarkDawnGenerate.Class(
+      ddData.classes,
+      ddCharacter,
+      ddLocks.class,
+      selectedDDClass,
+      ddExclusions.class,
+      getDDWeigher('class')
+    );
+    // The stats move onto the new class's main stats
+    const stats = ddCharacter.Stats && DarkDawnSheet.ReassignStats(ddCharacter.Stats, newClass, ddData.sheet);
+    setDDCharacter({ ...ddCharacter, Class: newClass, ...(stats && { Stats: stats }) }, 'Class');
   };
 
   /**
@@ -926,26 +1502,66 @@ export default function CharacterGeneratorPage() {
   const handleGenerateDDSpecialAbility = () => {
     if (!ddData) return;
 
-    let newAbility;
-    if (selectedDDSpecialAbility !== 'Random') {
-      // Use selected ability from dropdown
-      newAbility = ddData.specialAbilities[selectedDDSpecialAbility];
-    } else {
-      // Generate random ability
-      newAbility = DarkDawnGenerate.SpecialAbility(
-        ddData.specialAbilities,
-        ddCharacter,
-        ddLocks.specialAbility
-      );
-    }
-    setDDCharacter({ ...ddCharacter, SpecialAbility: newAbility });
+    const newAbility = DarkDawnGenerate.SpecialAbility(
+      ddData.specialAbilities,
+      ddCharacter,
+      ddLocks.specialAbility,
+      selectedDDSpecialAbility,
+      ddExclusions.specialAbility,
+      getDDWeigher('specialAbility')
+    );
+    const rank = DarkDawnGenerate.SpecialAbilityRank(
+      newAbility,
+      ddData.sheet,
+      ddCharacter,
+      ddLocks.specialAbility,
+      ddRollRank
+    );
+    setDDCharacter({ ...ddCharacter, SpecialAbility: newAbility, SpecialAbilityRank: rank }, 'Special Ability');
   };
 
   /**
    * Apply name from input to character without regenerating other fields
    */
   const handleApplyDDName = () => {
-    setDDCharacter({ ...ddCharacter, Name: ddName });
+    setDDCharacter({ ...ddCharacter, Name: ddName }, 'Name');
+  };
+
+  /**
+   * Generate stats, level, rank and inventory for a character made before the sheet existed
+   */
+  const handleGenerateDDSheet = () => {
+    if (!ddData || !ddCharacter.Class) return;
+    // A rank already on the character (rolled or picked) is kept
+    const rank =
+      ddCharacter.SpecialAbilityRank ??
+      DarkDawnGenerate.SpecialAbilityRank(
+        ddCharacter.SpecialAbility,
+        ddData.sheet,
+        ddCharacter,
+        ddLocks.specialAbility,
+        ddRollRank
+      );
+    setDDCharacter(
+      { ...ddCharacter, ...DarkDawnSheet.Get(ddCharacter, ddData.sheet), SpecialAbilityRank: rank },
+      'Sheet'
+    );
+  };
+
+  /**
+   * Apply edits made on the sheet
+   * @param {Object} parts - Changed parts of the character
+   * @param {string} label - History label
+   */
+  const handleDDSheetChange = (parts, label) => {
+    setDDCharacter({ ...ddCharacter, ...parts }, label);
+  };
+
+  /**
+   * Log devotion to the character's deity
+   */
+  const handleDevotionChange = (devotion) => {
+    setDDCharacter({ ...ddCharacter, Devotion: devotion }, 'Devotion');
   };
 
   // Computed dropdown options for Dark Dawn
@@ -991,6 +1607,10 @@ export default function CharacterGeneratorPage() {
     return options;
   }, [ddData, selectedDDFaction, ddCharacter.Faction]);
 
+  // Dark Dawn compatibility rules the current character breaks
+  const ddRuleWarnings =
+    ddData?.rules && ddCharacter.Race ? DarkDawnGenerate.CheckRules(ddData.rules, ddCharacter) : [];
+
   // Show loading state
   if (loading || (gameSystem === 'darkdawn' && ddLoading)) {
     return (
@@ -1037,113 +1657,75 @@ export default function CharacterGeneratorPage() {
 
               {/* Book Selection Grid */}
               <div className="booklist row">
-                <div className="col-12 col-md-6">
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="PHBbox" disabled checked />
-                    <Label htmlFor="PHBbox" className="font-bold cursor-pointer">
-                      Player&apos;s Handbook <sup>(PHB)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="VGtMbox" defaultChecked />
-                    <Label htmlFor="VGtMbox" className="font-bold cursor-pointer">
-                      Volo&apos;s Guide to Monsters <sup>(VGtM)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="MRbox" defaultChecked />
-                    <Label htmlFor="MRbox" className="font-bold cursor-pointer">
-                      Volo&apos;s Guide Monstrous Races <sup>(MR)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="XGtEbox" defaultChecked />
-                    <Label htmlFor="XGtEbox" className="font-bold cursor-pointer">
-                      Xanathar&apos;s Guide to Everything <sup>(XGtE)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="MToFbox" defaultChecked />
-                    <Label htmlFor="MToFbox" className="font-bold cursor-pointer">
-                      Mordenkainen&apos;s Tome of Foes <sup>(MToF)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="TCoEbox" defaultChecked />
-                    <Label htmlFor="TCoEbox" className="font-bold cursor-pointer">
-                      Tasha&apos;s Cauldron of Everything <sup>(TCoE)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="EEbox" defaultChecked />
-                    <Label htmlFor="EEbox" className="font-bold cursor-pointer">
-                      Elemental Evil Player&apos;s Companion <sup>(EE)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="SCAGbox" defaultChecked />
-                    <Label htmlFor="SCAGbox" className="font-bold cursor-pointer">
-                      Sword Coast Adventurer&apos;s Guide <sup>(SCAG)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="DMGbox" />
-                    <Label htmlFor="DMGbox" className="font-bold cursor-pointer">
-                      Dungeon Master&apos;s Guide <sup>(DMG)</sup>
-                    </Label>
-                  </div>
-                </div>
-                <div className="col-12 col-md-6">
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="Modbox" />
-                    <Label htmlFor="Modbox" className="font-bold cursor-pointer">
-                      Adventure Modules <sup>(Mod)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="EBRbox" />
-                    <Label htmlFor="EBRbox" className="font-bold cursor-pointer">
-                      Eberron: Rising from the Last War <sup>(EBR)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="EGtWbox" />
-                    <Label htmlFor="EGtWbox" className="font-bold cursor-pointer">
-                      Explorer&apos;s Guide to Wildemount <sup>(EGtW)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="GGtRbox" />
-                    <Label htmlFor="GGtRbox" className="font-bold cursor-pointer">
-                      Guildmaster&apos;s Guide to Ravnica <sup>(GGtR)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="MOoTbox" />
-                    <Label htmlFor="MOoTbox" className="font-bold cursor-pointer">
-                      Mythic Odysseys of Theros <sup>(MOoT)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="AIbox" />
-                    <Label htmlFor="AIbox" className="font-bold cursor-pointer">
-                      Acquisitions Incorporated <sup>(AI)</sup>
-                    </Label>
+                {bookColumns.map((column, columnIndex) => (
+                  <div key={columnIndex} className="col-12 col-md-6">
+                    {column.map((book) => (
+                      <div key={book} className="flex items-center space-x-2 mb-2">
+                        <Checkbox
+                          id={book + 'box'}
+                          disabled={book === 'PHB'}
+                          checked={bookSelection ? BookSelection.IsSelected(bookSelection, book) : false}
+                          onCheckedChange={(checked) => handleToggleBook(book, checked === true)}
+                        />
+                        <Label htmlFor={book + 'box'} className="font-bold cursor-pointer">
+                          {bookSelection?.names[book] || book} <sup>({book})</sup>
+                        </Label>
+                      </div>
+                    ))}
                   </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="Otherbox" />
-                    <Label htmlFor="Otherbox" className="font-bold cursor-pointer">
-                      Other Notable Content <sup>(Other)</sup>
-                    </Label>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Checkbox id="UAbox" />
-                    <Label htmlFor="UAbox" className="font-bold cursor-pointer">
-                      Unearthed Arcana <sup>(UA)</sup>
-                    </Label>
-                  </div>
-                </div>
-          </div>
+                ))}
+              </div>
+
+              {/* Homebrew Books */}
+              <HomebrewPanel books={homebrewBooks} data={data} onChange={handleHomebrewChange} />
+
+              {/* Campaign Profiles */}
+              <ProfilePanel
+                booksData={data.books}
+                options={{
+                  books: bookSelection?.selected || [],
+                  raceRandomizer,
+                  ethnicityType,
+                  selections: {
+                    gender: selectedGender,
+                    race: selectedRace,
+                    class: selectedClass,
+                    background: selectedBackground,
+                  },
+                }}
+                onApply={handleApplyProfile}
+              />
+
+              {/* Regional Demographics */}
+              <div className="flex flex-wrap items-center gap-2">
+                <Label htmlFor="regionmenu" className="font-bold">
+                  Region:
+                </Label>
+                <Select value={selectedRegion} onValueChange={setSelectedRegion}>
+                  <SelectTrigger id="regionmenu" className="w-[14rem]">
+                    <SelectValue placeholder="Select region" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="None">None (Global Defaults)</SelectItem>
+                    {Object.keys(data.regions || {}).map((regionName) => (
+                      <SelectItem key={regionName} value={regionName}>
+                        {regionName}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <span className="text-sm text-muted-foreground">{data.regions?.[selectedRegion]?.description}</span>
+              </div>
+
+              {/* Race Weights */}
+              <RaceWeightsPanel
+                data={data}
+                usedBooks={usedBooks}
+                raceMode={raceRandomizer}
+                region={getRegion(data.regions, selectedRegion)}
+                weights={raceWeights}
+                onChange={handleRaceWeightsChange}
+              />
             </>
           )}
 
@@ -1211,7 +1793,7 @@ export default function CharacterGeneratorPage() {
                     <Label htmlFor="dd-faction-select" className="font-bold w-32">
                       Faction:
                     </Label>
-                    <Select value={selectedDDFaction} onValueChange={setSelectedDDFaction}>
+                    <Select value={selectedDDFaction} onValueChange={handleSelectDDFaction}>
                       <SelectTrigger className="w-[20rem]">
                         <SelectValue placeholder="Select faction" />
                       </SelectTrigger>
@@ -1351,6 +1933,91 @@ export default function CharacterGeneratorPage() {
                   </div>
                 </div>
 
+                {/* Seed */}
+                <div className="mb-4">
+                  <div className="flex items-center gap-3">
+                    <Label htmlFor="dd-seed-input" className="font-bold w-32">
+                      Seed:
+                    </Label>
+                    <Input
+                      id="dd-seed-input"
+                      type="text"
+                      placeholder="Random"
+                      className="w-[20rem]"
+                      value={ddSeedInput}
+                      onChange={(e) => setDDSeedInput(e.target.value)}
+                    />
+                    <Button
+                      variant="outline"
+                      size="icon"
+                      onClick={() => toggleDDLock('seed')}
+                    >
+                      {ddLocks.seed ? <LockKeyholeIcon /> : <LockKeyholeOpenIcon />}
+                    </Button>
+                    <Button variant="outline" onClick={() => handleCopySeed(ddSeedInput)}>
+                      Copy
+                    </Button>
+                  </div>
+                </div>
+
+                {/* Sheet */}
+                <div className="mb-4">
+                  <div className="flex items-center gap-3">
+                    <Label className="font-bold w-32">Sheet:</Label>
+                    <span className="w-[20rem] text-sm text-muted-foreground">
+                      Lock to keep stats, level and inventory when generating
+                    </span>
+                    <Button
+                      variant="outline"
+                      size="icon"
+                      onClick={() => toggleDDLock('sheet')}
+                    >
+                      {ddLocks.sheet ? <LockKeyholeIcon /> : <LockKeyholeOpenIcon />}
+                    </Button>
+                  </div>
+                </div>
+
+                {/* Exclusions */}
+                {ddData && (
+                  <DarkDawnExclusionsPanel ddData={ddData} exclusions={ddExclusions} onChange={setDDExclusions} />
+                )}
+
+                {/* Lore-strict / Free */}
+                <div className="flex items-center gap-2 mb-4">
+                  <Checkbox
+                    id="dd-lore-strict-box"
+                    checked={ddLoreStrict}
+                    onCheckedChange={(checked) => setDDLoreStrict(checked === true)}
+                  />
+                  <Label htmlFor="dd-lore-strict-box" className="cursor-pointer">
+                    Lore-strict (random picks follow the setting&apos;s faction, deity, race and class rules)
+                  </Label>
+                </div>
+                <div className="flex items-center gap-2 mb-4">
+                  <Checkbox
+                    id="dd-roll-rank-box"
+                    checked={ddRollRank}
+                    onCheckedChange={(checked) => setDDRollRank(checked === true)}
+                  />
+                  <Label htmlFor="dd-roll-rank-box" className="cursor-pointer">
+                    Roll a starting rank in the special ability (otherwise every character starts as{' '}
+                    {ddData.sheet.ranks[0]})
+                  </Label>
+                </div>
+                {ddRuleWarnings.length > 0 && (
+                  <div className="mb-4 text-sm text-red-700">
+                    <b>This character breaks the setting&apos;s rules:</b>
+                    <ul>
+                      {ddRuleWarnings.map((warning) => (
+                        <li key={warning}>{warning}</li>
+                      ))}
+                    </ul>
+                    {ddLoreStrict && (
+                      <p>Lore-strict generation only breaks them when no character follows every rule with these locks, choices and exclusions.</p>
+                    )}
+                  </div>
+                )}
+
                 {/* Lock/Unlock All Buttons */}
                 <div className="flex gap-2 justify-center mt-6">
                   <Button variant="secondary" onClick={lockAllDD}>
@@ -1530,6 +2197,33 @@ export default function CharacterGeneratorPage() {
                   Generate Character
                 </Button>
               </Card>
+              <Card className="flex items-center justify-center gap-2 p-3 mt-4">
+                <Label htmlFor="seed-input">
+                  <b>Seed</b>
+                </Label>
+                <Input
+                  id="seed-input"
+                  type="text"
+                  placeholder="Random"
+                  className="w-[12rem]"
+                  value={seedInput}
+                  onChange={(e) => setSeedInput(e.target.value)}
+                />
+                <Button variant="outline" size="icon" onClick={() => toggleLock('seed')}>
+                  {locks.seed ? <LockKeyholeIcon/> : <LockKeyholeOpenIcon/>}
+                </Button>
+                <Button type="button" variant="secondary" onClick={() => handleCopySeed(seedInput)}>
+                  Copy
+                </Button>
+                <Checkbox
+                  id="explain-box"
+                  checked={explain}
+                  onCheckedChange={(checked) => setExplain(checked === true)}
+                />
+                <Label htmlFor="explain-box" className="cursor-pointer">
+                  Explain
+                </Label>
+              </Card>
               <br />
             </>
           )}
@@ -1716,6 +2410,198 @@ export default function CharacterGeneratorPage() {
           )}
 
 
+          {/* Ability Scores Section */}
+          {gameSystem === 'dnd' && (
+            <Card className="mt-4 p-4">
+              <div className="flex flex-wrap items-center gap-3 mb-4">
+                <h3 className="m-0">Ability Scores:</h3>
+                <Button variant="outline" size="icon" onClick={() => toggleLock('abilities')}>
+                  {locks.abilities ? <LockKeyholeIcon/> : <LockKeyholeOpenIcon/>}
+                </Button>
+                <Select value={abilityMethod} onValueChange={setAbilityMethod}>
+                  <SelectTrigger id="abilitymethodmenu" className="w-[200px]">
+                    <SelectValue placeholder="Select method" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(data.abilities?.methods || {}).map(([key, method]) => (
+                      <SelectItem key={key} value={key}>
+                        {method.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <RadioGroup value={abilityBonusMode} onValueChange={setAbilityBonusMode} className="flex gap-4">
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="racial" id="racial-bonus-radio" />
+                    <Label htmlFor="racial-bonus-radio" className="cursor-pointer">
+                      Racial Bonuses
+                    </Label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="floating" id="floating-bonus-radio" />
+                    <Label htmlFor="floating-bonus-radio" className="cursor-pointer">
+                      Floating (Tasha&apos;s)
+                    </Label>
+                  </div>
+                </RadioGroup>
+                <Button type="button" variant="secondary" onClick={handleGenerateAbilities}>
+                  Generate
+                </Button>
+              </div>
+              {character.Abilities?.Scores && (
+                <ul id="abilitysection">
+                  {Object.entries(character.Abilities.Scores).map(([ability, score]) => (
+                    <li key={ability}>
+                      <b>{ability}</b>: {Abilities.Format(score)}
+                      {character.Abilities.Bonuses[ability]
+                        ? ` (base ${character.Abilities.Base[ability]}, ${character.Abilities.Bonuses[ability] > 0 ? '+' : ''}${character.Abilities.Bonuses[ability]} racial)`
+                        : ''}
+                    </li>
+                  ))}
+                  {character.Abilities.Rolls.length > 0 && (
+                    <li>
+                      <b>Rolls</b>: {character.Abilities.Rolls.join('; ')}
+                    </li>
+                  )}
+                </ul>
+              )}
+            </Card>
+          )}
+
+          {/* Level Section */}
+          {gameSystem === 'dnd' && (
+            <Card className="mt-4 p-4">
+              <div className="flex flex-wrap items-center gap-3 mb-4">
+                <h3 className="m-0">Level:</h3>
+                <Button variant="outline" size="icon" onClick={() => toggleLock('level')}>
+                  {locks.level ? <LockKeyholeIcon/> : <LockKeyholeOpenIcon/>}
+                </Button>
+                <Select value={level} onValueChange={setLevel}>
+                  <SelectTrigger id="levelmenu" className="w-[100px]">
+                    <SelectValue placeholder="Level" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Array.from({ length: data.levels?.maxLevel || 20 }, (_, index) => (
+                      <SelectItem key={index + 1} value={String(index + 1)}>
+                        {index + 1}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select value={classCount} onValueChange={setClassCount}>
+                  <SelectTrigger id="classcountmenu" className="w-[160px]">
+                    <SelectValue placeholder="Classes" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="1">Single Class</SelectItem>
+                    <SelectItem value="2">Multiclass (2)</SelectItem>
+                    <SelectItem value="3">Multiclass (3)</SelectItem>
+                  </SelectContent>
+                </Select>
+                <RadioGroup value={hpMode} onValueChange={setHpMode} className="flex gap-4">
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="average" id="average-hp-radio" />
+                    <Label htmlFor="average-hp-radio" className="cursor-pointer">
+                      Average HP
+                    </Label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="rolled" id="rolled-hp-radio" />
+                    <Label htmlFor="rolled-hp-radio" className="cursor-pointer">
+                      Rolled HP
+                    </Label>
+                  </div>
+                </RadioGroup>
+                <Button type="button" variant="secondary" onClick={handleGenerateLevel}>
+                  Generate
+                </Button>
+              </div>
+              {character.Level && (
+                <ul id="levelsection">
+                  <li>
+                    <b>Hit Points</b>: {character.Level.HitPoints} ({character.Level.HitDice})
+                  </li>
+                  <li>
+                    <b>Proficiency Bonus</b>: +{character.Level.ProficiencyBonus}
+                  </li>
+                  {character.Level.Classes.map((classLevel) => (
+                    <li key={classLevel.Name}>
+                      <b>
+                        {classLevel.Name} {classLevel.Level}
+                      </b>
+                      :{' '}
+                      {classLevel.Subclass ||
+                        (classLevel.SubclassLabel
+                          ? `${classLevel.SubclassLabel} at level ${classLevel.SubclassLevel}`
+                          : 'no subclass')}
+                    </li>
+                  ))}
+                  {character.Level.Improvements.map((improvement) => (
+                    <li key={Levels.ImprovementLabel(improvement)}>
+                      <b>{Levels.ImprovementLabel(improvement)}</b>: {Levels.FormatImprovement(improvement)}
+                    </li>
+                  ))}
+                  {character.Level.HitPointRolls.length > 0 && (
+                    <li>
+                      <b>Hit Point Rolls</b>: {character.Level.HitPointRolls.join('; ')}
+                    </li>
+                  )}
+                </ul>
+              )}
+            </Card>
+          )}
+
+          {/* Spells Section */}
+          {gameSystem === 'dnd' && (
+            <Card className="mt-4 p-4">
+              <div className="flex flex-wrap items-center gap-3 mb-4">
+                <h3 className="m-0">Spells:</h3>
+                <Button variant="outline" size="icon" onClick={() => toggleLock('spells')}>
+                  {locks.spells ? <LockKeyholeIcon/> : <LockKeyholeOpenIcon/>}
+                </Button>
+                <Button type="button" variant="secondary" onClick={handleGenerateSpells}>
+                  Generate
+                </Button>
+              </div>
+              {character.Class && !character.Spells && (
+                <p className="text-muted-foreground">No spellcasting at this class and level.</p>
+              )}
+              {character.Spells && (
+                <ul id="spellsection">
+                  {character.Spells.map((caster) => (
+                    <li key={caster.Class}>
+                      <b>{caster.Class}</b>: {caster.Ability}, save DC {caster.SaveDC}, attack {Abilities.FormatBonus(caster.AttackBonus)} (
+                      {caster.Type.toLowerCase()} spells)
+                      <ul>
+                        {caster.Cantrips.length > 0 && (
+                          <li>
+                            <b>{Spells.LevelLabel(0)}</b>: {caster.Cantrips.join(', ')}
+                          </li>
+                        )}
+                        {Object.entries(caster.Spells).map(([spellLevel, names]) => (
+                          <li key={spellLevel}>
+                            <b>{Spells.LevelLabel(spellLevel)}</b>:{' '}
+                            {names.map((name, index) => (
+                              <span key={name}>
+                                {index > 0 && ', '}
+                                {caster.AlwaysPrepared.includes(name) ? <i>{name}</i> : name}
+                              </span>
+                            ))}
+                          </li>
+                        ))}
+                        {caster.Spellbook && (
+                          <li>
+                            <b>Spellbook</b>: {Object.values(caster.Spellbook).flat().join(', ')}
+                          </li>
+                        )}
+                      </ul>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Card>
+          )}
+
           {/* Life Section */}
           {gameSystem === 'dnd' && (
             <Card className="mb-4 mt-4 p-4">
@@ -1734,6 +2620,54 @@ export default function CharacterGeneratorPage() {
             </Card>
           )}
 
+          {/* Inventory Section */}
+          {gameSystem === 'dnd' && (
+            <Card className="mb-4 p-4">
+              <div className="flex flex-wrap items-center gap-3 mb-4">
+                <h3 className="m-0">Inventory:</h3>
+                <Button variant="outline" size="icon" onClick={() => toggleLock('inventory')}>
+                  {locks.inventory ? <LockKeyholeIcon/> : <LockKeyholeOpenIcon/>}
+                </Button>
+                <RadioGroup value={equipmentMode} onValueChange={setEquipmentMode} className="flex gap-4">
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="equipment" id="class-equipment-radio" />
+                    <Label htmlFor="class-equipment-radio" className="cursor-pointer">
+                      Class Equipment
+                    </Label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <RadioGroupItem value="gold" id="class-gold-radio" />
+                    <Label htmlFor="class-gold-radio" className="cursor-pointer">
+                      Starting Gold Instead
+                    </Label>
+                  </div>
+                </RadioGroup>
+                <Button type="button" variant="secondary" onClick={handleGenerateInventory}>
+                  Generate
+                </Button>
+              </div>
+              {character.Inventory && (
+                <ul id="inventorysection">
+                  {character.Inventory.Items.map((item, index) => (
+                    <li key={index}>
+                      {Equipment.FormatItem(item)} <span className="text-muted-foreground">({item.Source})</span>
+                    </li>
+                  ))}
+                  <li>
+                    <b>Gold</b>: {character.Inventory.Gold} gp
+                    <ul>
+                      {character.Inventory.GoldSources.map((source, index) => (
+                        <li key={index}>
+                          {source.Source}: {source.Roll || source.Amount + ' gp'}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                </ul>
+              )}
+            </Card>
+          )}
+
           {/* Main Action Buttons and Canvas */}
           <Card className="text-center space-y-4 py-4 mt-4">
             {gameSystem === 'dnd' && (
@@ -1747,6 +2681,39 @@ export default function CharacterGeneratorPage() {
               </div>
             )}
 
+            {/* JSON Import/Export */}
+            <div className="flex gap-2 justify-center">
+              <Button
+                variant="secondary"
+                onClick={handleExportJSON}
+                disabled={gameSystem === 'darkdawn' ? !ddCharacter.Race : !character.Race}
+              >
+                Export JSON
+              </Button>
+              <Button variant="secondary" onClick={() => importInputRef.current?.click()}>
+                Import JSON
+              </Button>
+              <Button
+                variant="secondary"
+                onClick={handleCopyLink}
+                disabled={gameSystem === 'darkdawn' ? !ddCharacter.Race : !character.Race}
+              >
+                Copy Link
+              </Button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportJSON}
+                className="hidden"
+              />
+            </div>
+            {importMessage && (
+              <p className={'text-sm whitespace-pre-line ' + (importMessage.error ? 'text-red-700' : 'text-muted-foreground')}>
+                {importMessage.text}
+              </p>
+            )}
+
             {/* Image Upload Section */}
             <Card className="max-w-md mx-auto bg-blue-50">
               <CardHeader>
@@ -1790,10 +2757,17 @@ export default function CharacterGeneratorPage() {
                   Character Art Source
                 </a>
                 <br />
-                {/* Export to PDF Button - Only for Dark Dawn Simple Canvas */}
+                {/* Export to PDF Buttons - Dark Dawn only for the Simple Canvas */}
                 {gameSystem === 'darkdawn' && cardType === 'empty' && ddCharacter.Race && (
                   <div className="flex justify-center mt-4">
-                    <Button onClick={() => exportDarkDawnToPDF(ddCharacter)} variant="default">
+                    <Button onClick={() => exportDarkDawnToPDF(ddCharacter, ddData.sheet, ddDeity)} variant="default">
+                      Export to PDF
+                    </Button>
+                  </div>
+                )}
+                {gameSystem === 'dnd' && character.Race && (
+                  <div className="flex justify-center mt-4">
+                    <Button onClick={() => exportCharacterToPDF(character)} variant="default">
                       Export to PDF
                     </Button>
                   </div>
@@ -1810,8 +2784,12 @@ export default function CharacterGeneratorPage() {
                 value={buildPlainText()}
               ></textarea>
             </div>
-            <div id="summary" style={{ display: cardType === 'summary' ? 'block' : 'none' }}>
-              <Card className="p-4 max-w-2xl mx-auto text-left">
+            <div
+              id="summary"
+              className="flex flex-wrap justify-center items-start gap-4"
+              style={{ display: cardType === 'summary' ? 'flex' : 'none' }}
+            >
+              <Card className="p-4 max-w-2xl w-full text-left">
                 {/* Dark Dawn Character Summary */}
                 {gameSystem === 'darkdawn' && (
                   <>
@@ -1865,6 +2843,38 @@ export default function CharacterGeneratorPage() {
                           )}
                         </details>
                       )}
+                      {ddCharacter.Deity?.name && (
+                        <details className="border rounded-lg p-3">
+                          <summary className="cursor-pointer font-bold">
+                            Devotion: {Devotion.Get(ddCharacter).points}
+                          </summary>
+                          <DevotionPanel
+                            deity={ddDeity}
+                            devotion={Devotion.Get(ddCharacter)}
+                            onChange={handleDevotionChange}
+                          />
+                        </details>
+                      )}
+                      {ddCharacter.Class?.name && (
+                        <details open className="border rounded-lg p-3">
+                          <summary className="cursor-pointer font-bold">
+                            Sheet{ddCharacter.Level ? ': Level ' + ddCharacter.Level.Level : ''}
+                          </summary>
+                          <div className="mt-2 ml-4">
+                            {ddCharacter.Stats ? (
+                              <DarkDawnSheetPanel
+                                sheetData={ddData.sheet}
+                                character={ddCharacter}
+                                onChange={handleDDSheetChange}
+                              />
+                            ) : (
+                              <Button type="button" size="sm" variant="secondary" onClick={handleGenerateDDSheet}>
+                                Generate Stats and Inventory
+                              </Button>
+                            )}
+                          </div>
+                        </details>
+                      )}
                       {ddCharacter.SpecialAbility?.name && (
                         <details className="border rounded-lg p-3">
                           <summary className="cursor-pointer font-bold">
@@ -1911,7 +2921,8 @@ export default function CharacterGeneratorPage() {
                         </span>
                       </li>
                       <li className="pc-show">
-                        <b>Class:</b> <span id="class">{character.Class?.name || ''}</span>
+                        <b>Class:</b>{' '}
+                        <span id="class">{character.Level ? Levels.ClassString(character) : character.Class?.name || ''}</span>
                       </li>
                       <li className="pc-show">
                         <b>Background:</b> <span id="background">{character.Background?.name || ''}</span>
@@ -1919,6 +2930,61 @@ export default function CharacterGeneratorPage() {
                       <li className="npc-show">
                         <b>Occupation:</b> <span id="occupation">{character.Occupation || ''}</span>
                       </li>
+                      {character.Level && (
+                        <li className="pc-show">
+                          <b>Level:</b> {character.Level.Level}
+                          <ul>
+                            {character.Level.Classes.filter((classLevel) => classLevel.Subclass).map((classLevel) => (
+                              <li key={classLevel.Name}>
+                                <b>{classLevel.SubclassLabel}:</b> {classLevel.Subclass}
+                              </li>
+                            ))}
+                            <li>
+                              <b>Hit Points:</b> {character.Level.HitPoints} ({character.Level.HitDice})
+                            </li>
+                            <li>
+                              <b>Proficiency Bonus:</b> +{character.Level.ProficiencyBonus}
+                            </li>
+                            {character.Level.Improvements.map((improvement) => (
+                              <li key={Levels.ImprovementLabel(improvement)}>
+                                <b>{Levels.ImprovementLabel(improvement)}:</b> {Levels.FormatImprovement(improvement)}
+                              </li>
+                            ))}
+                          </ul>
+                        </li>
+                      )}
+                      {character.Abilities?.Scores && (
+                        <li>
+                          <b>Ability Scores:</b> <span className="text-muted-foreground">({character.Abilities.Method})</span>
+                          <ul>
+                            {Object.entries(Abilities.Final(character.Abilities, character.Level?.Improvements)).map(([ability, score]) => (
+                              <li key={ability}>
+                                <b>{ability}</b>: {Abilities.Format(score)}
+                              </li>
+                            ))}
+                          </ul>
+                        </li>
+                      )}
+                      {character.Spells?.map((caster) => (
+                        <li key={caster.Class} className="pc-show">
+                          <b>{caster.Class} Spells:</b>{' '}
+                          <span className="text-muted-foreground">
+                            ({caster.Ability}, save DC {caster.SaveDC}, attack {Abilities.FormatBonus(caster.AttackBonus)})
+                          </span>
+                          <ul>
+                            {caster.Cantrips.length > 0 && (
+                              <li>
+                                <b>{Spells.LevelLabel(0)}:</b> {caster.Cantrips.join(', ')}
+                              </li>
+                            )}
+                            {Object.entries(caster.Spells).map(([spellLevel, names]) => (
+                              <li key={spellLevel}>
+                                <b>{Spells.LevelLabel(spellLevel)}:</b> {names.join(', ')}
+                              </li>
+                            ))}
+                          </ul>
+                        </li>
+                      ))}
                       <li className="npc-show">
                         <b>Description:</b>
                         <ul id="npc-traits-section">{renderObjectProperties(character.NPCTraits, 'npc')}</ul>
@@ -1929,14 +2995,47 @@ export default function CharacterGeneratorPage() {
                           <ul>{renderObjectProperties(character.Life.Origin, 'origin')}</ul>
                         </li>
                       )}
+                      {character.Inventory && (
+                        <li className="pc-show">
+                          <b>Inventory:</b>{' '}
+                          {character.Inventory.Items.map((item) => Equipment.FormatItem(item)).join(', ')}
+                          {' '}({character.Inventory.Gold} gp)
+                        </li>
+                      )}
                     </ul>
                   </>
                 )}
               </Card>
+
+              {/* Trace of the last explained generation */}
+              {gameSystem === 'dnd' && explain && trace && <TracePanel trace={trace} />}
             </div>
             <br />
           </Card>
 
+          {/* Generation History */}
+          <div className="mt-4">
+            <HistoryPanel
+              history={gameSystem === 'darkdawn' ? ddCharacterHistory : characterHistory}
+              onJump={handleHistoryJump}
+            />
+          </div>
+
+          {/* Saved Characters */}
+          <div className="mt-4">
+            <RosterPanel
+              gameSystem={gameSystem}
+              character={gameSystem === 'darkdawn' ? ddCharacter : character}
+              portrait={uploadedImage}
+              onOpen={handleOpenRosterEntry}
+            />
+          </div>
+
+          {/* Dice Roller */}
+          <div className="mt-4">
+            <DiceRoller />
+          </div>
+
           {/* Footer */}
           <div className="footer">
           </div>
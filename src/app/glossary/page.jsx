@@ -5,6 +5,7 @@ import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { Card } from '@/components/ui/card'
 import { useDarkDawnData } from '@/lib/hooks/useDarkDawnData'
+import DarkDawnSheet from '@/lib/generators/darkdawnSheet'
 
 const GlossaryPage = () => {
   const { data, loading, error } = useDarkDawnData()
@@ -159,6 +160,36 @@ const GlossaryPage = () => {
             />
           </div>
         )}
+
+        {/* Special ability progression */}
+        {type === 'ability' && item.ranks && (
+          <div>
+            <h4 className="text-lg font-semibold mb-2">Progression</h4>
+            {item.ranksPlaceholder && (
+              <p className="text-sm text-muted-foreground mb-2">
+                Placeholder progression until the setting defines what each rank unlocks.
+              </p>
+            )}
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left pr-4 py-1">Rank</th>
+                  <th className="text-left py-1">Unlocks</th>
+                </tr>
+              </thead>
+              <tbody>
+                {DarkDawnSheet.AbilityTiers(item, data.sheet).map((tier) => (
+                  <tr key={tier.rank} className="border-b">
+                    <td className="pr-4 py-1 font-semibold whitespace-nowrap">
+                      {tier.rank}. {tier.name}
+                    </td>
+                    <td className="py-1 text-muted-foreground">{tier.unlock}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
     )
   }
@@ -0,0 +1,68 @@
+'use client'
+
+import { Button } from '@/components/ui/button'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Label } from '@/components/ui/label'
+
+// Attributes that can be excluded, keyed like the Dark Dawn locks
+const ATTRIBUTES = [
+  { key: 'race', label: 'Races', getNames: (ddData) => Object.keys(ddData.races) },
+  { key: 'class', label: 'Classes', getNames: (ddData) => Object.keys(ddData.classes) },
+  { key: 'faction', label: 'Factions', getNames: (ddData) => Object.keys(ddData.factions) },
+  {
+    key: 'factionAbility',
+    label: 'Faction Abilities',
+    getNames: (ddData) =>
+      Object.values(ddData.factions).flatMap((faction) => (faction.abilities || []).map((ability) => ability.name)),
+  },
+  { key: 'deity', label: 'Deities', getNames: (ddData) => Object.keys(ddData.deities) },
+  { key: 'specialAbility', label: 'Special Abilities', getNames: (ddData) => Object.keys(ddData.specialAbilities) },
+]
+
+/**
+ * Dark Dawn exclusion lists
+ * Ticked entries are never picked at random (choosing them in a dropdown still works)
+ * @param {Object} ddData - Dark Dawn data
+ * @param {Object} exclusions - Excluded names, keyed like the locks (e.g. {deity: ['Vat Gi']})
+ * @param {Function} onChange - Called with the new exclusions
+ */
+const DarkDawnExclusionsPanel = ({ ddData, exclusions, onChange }) => {
+  const handleToggle = (key, name, checked) => {
+    const excluded = (exclusions[key] || []).filter((other) => other !== name)
+    onChange({ ...exclusions, [key]: checked ? excluded.concat(name) : excluded })
+  }
+
+  const excludedCount = Object.values(exclusions).reduce((total, names) => total + names.length, 0)
+
+  return (
+    <details className="mb-4">
+      <summary className="cursor-pointer font-bold">
+        Exclude from Random Picks{excludedCount > 0 ? ' (' + excludedCount + ')' : ''}
+      </summary>
+      {ATTRIBUTES.map((attribute) => (
+        <div key={attribute.key} className="mt-2">
+          <b>{attribute.label}:</b>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {attribute.getNames(ddData).map((name) => (
+              <div key={name} className="flex items-center space-x-2">
+                <Checkbox
+                  id={'dd-exclude-' + attribute.key + '-' + name}
+                  checked={(exclusions[attribute.key] || []).includes(name)}
+                  onCheckedChange={(checked) => handleToggle(attribute.key, name, checked === true)}
+                />
+                <Label htmlFor={'dd-exclude-' + attribute.key + '-' + name} className="cursor-pointer">
+                  {name}
+                </Label>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      <Button type="button" size="sm" variant="secondary" className="mt-2" onClick={() => onChange({})}>
+        Clear Exclusions
+      </Button>
+    </details>
+  )
+}
+
+export default DarkDawnExclusionsPanel
@@ -0,0 +1,205 @@
+'use client'
+
+import { useState } from 'react'
+import DarkDawnSheet from '@/lib/generators/darkdawnSheet'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+
+/**
+ * Input that applies its value on blur or Enter, so typing a number records one history entry
+ * @param {string|number} value - Current value
+ * @param {Function} onCommit - Called with the typed text when it changed
+ */
+const CommitInput = ({ value, onCommit, ...props }) => {
+  const [draft, setDraft] = useState(null)
+
+  const commit = () => {
+    if (draft !== null && draft !== String(value)) onCommit(draft)
+    setDraft(null)
+  }
+
+  return (
+    <Input
+      {...props}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit()}
+    />
+  )
+}
+
+/**
+ * Editable Dark Dawn sheet: stats, level and experience, special ability rank and inventory
+ * @param {Object} sheetData - Sheet data
+ * @param {Object} character - Dark Dawn character with Stats, Level, SpecialAbilityRank and Inventory
+ * @param {Function} onChange - Called with the changed parts of the character and a history label
+ */
+const DarkDawnSheetPanel = ({ sheetData, character, onChange }) => {
+  const [newItem, setNewItem] = useState('')
+
+  const mainStats = DarkDawnSheet.MainStats(character.Class, sheetData)
+  const nextLevel = DarkDawnSheet.NextLevelExperience(character.Level, sheetData)
+  const tiers = DarkDawnSheet.AbilityTiers(character.SpecialAbility, sheetData)
+
+  const handleAddItem = () => {
+    if (!newItem.trim()) return
+    onChange({ Inventory: DarkDawnSheet.AddItem(character.Inventory, newItem.trim()) }, 'Inventory')
+    setNewItem('')
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <b>Stats</b>
+        <div className="flex flex-wrap gap-3 mt-1">
+          {Object.keys(character.Stats).map((stat) => (
+            <div key={stat} className="flex flex-col items-center">
+              <Label htmlFor={'dd-stat-' + stat} className={mainStats.includes(stat) ? 'font-bold' : ''}>
+                {stat}
+              </Label>
+              <CommitInput
+                id={'dd-stat-' + stat}
+                type="number"
+                min="0"
+                max={sheetData.maxStat}
+                className="w-[5rem] h-8"
+                value={character.Stats[stat]}
+                onCommit={(text) =>
+                  onChange({ Stats: { ...character.Stats, [stat]: DarkDawnSheet.ClampStat(text, sheetData) } }, 'Stats')
+                }
+              />
+            </div>
+          ))}
+        </div>
+        {mainStats.length > 0 && (
+          <p className="text-sm text-muted-foreground mt-1">
+            Main stats of the {character.Class.name}: {mainStats.join(', ')}
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Label htmlFor="dd-level">
+          <b>Level</b>
+        </Label>
+        <CommitInput
+          id="dd-level"
+          type="number"
+          min="1"
+          max={sheetData.experience.length}
+          className="w-[5rem] h-8"
+          value={character.Level.Level}
+          onCommit={(text) => onChange({ Level: DarkDawnSheet.SetLevel(text, sheetData) }, 'Level')}
+        />
+        <Label htmlFor="dd-experience">
+          <b>Experience</b>
+        </Label>
+        <CommitInput
+          id="dd-experience"
+          type="number"
+          min="0"
+          className="w-[8rem] h-8"
+          value={character.Level.Experience}
+          onCommit={(text) => onChange({ Level: DarkDawnSheet.SetExperience(text, sheetData) }, 'Experience')}
+        />
+        <span className="text-sm text-muted-foreground">
+          {nextLevel !== null ? 'Next level at ' + nextLevel : 'Highest level'}
+        </span>
+      </div>
+
+      {character.SpecialAbility?.name && (
+        <div>
+          <div className="flex items-center gap-2">
+            <b>{character.SpecialAbility.name} Rank</b>
+            <Select
+              value={String(character.SpecialAbilityRank)}
+              onValueChange={(value) => onChange({ SpecialAbilityRank: parseInt(value) }, 'Special Ability Rank')}
+            >
+              <SelectTrigger className="w-[12rem] h-8">
+                <SelectValue placeholder="Select rank" />
+              </SelectTrigger>
+              <SelectContent>
+                {tiers.map((tier) => (
+                  <SelectItem key={tier.rank} value={String(tier.rank)}>
+                    {tier.rank}. {tier.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {character.SpecialAbility.ranksPlaceholder && (
+            <p className="text-sm text-muted-foreground mt-1">
+              Placeholder progression until the setting defines what each rank unlocks.
+            </p>
+          )}
+          <ul className="text-sm mt-1">
+            {tiers
+              .filter((tier) => tier.unlock)
+              .map((tier) => (
+                <li key={tier.rank} className={tier.rank <= character.SpecialAbilityRank ? '' : 'text-muted-foreground'}>
+                  <b>{tier.name}:</b> {tier.unlock}
+                </li>
+              ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <b>Inventory</b>
+        <table className="text-sm mt-1">
+          <tbody>
+            {character.Inventory.Items.map((item, index) => (
+              <tr key={index}>
+                <td className="pr-4">{item.Name}</td>
+                <td className="pr-2">
+                  <CommitInput
+                    type="number"
+                    min="1"
+                    className="w-[5rem] h-8"
+                    value={item.Quantity}
+                    onCommit={(text) =>
+                      onChange(
+                        {
+                          Inventory: DarkDawnSheet.SetQuantity(character.Inventory, index, Math.max(parseInt(text) || 1, 1)),
+                        },
+                        'Inventory'
+                      )
+                    }
+                  />
+                </td>
+                <td>
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="secondary"
+                    onClick={() => onChange({ Inventory: DarkDawnSheet.SetQuantity(character.Inventory, index, 0) }, 'Inventory')}
+                  >
+                    Remove
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex items-center gap-2 mt-1">
+          <Input
+            type="text"
+            className="w-[14rem] h-8"
+            placeholder="New item"
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAddItem()}
+          />
+          <Button type="button" size="sm" variant="secondary" onClick={handleAddItem}>
+            Add
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DarkDawnSheetPanel
@@ -0,0 +1,127 @@
+'use client'
+
+import { useState } from 'react'
+import Devotion from '@/lib/generators/devotion'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+
+/**
+ * Devotion tracker for a Dark Dawn character's deity
+ * Logs the events that earn devotion, and shows the unlocked effects and fanaticism thresholds
+ * @param {Object} deity - The character's deity (with bonuses)
+ * @param {Object} devotion - Tracker from Devotion.Get
+ * @param {Function} onChange - Called with the new tracker
+ */
+const DevotionPanel = ({ deity, devotion, onChange }) => {
+  const [customEvent, setCustomEvent] = useState('')
+  const [customPoints, setCustomPoints] = useState('1')
+
+  const events = Devotion.Events(deity)
+  const effects = Devotion.Effects(deity, devotion.points)
+  const fanaticism = Devotion.Fanaticism(deity, devotion.points)
+
+  const handleCustomEvent = () => {
+    const points = parseInt(customPoints)
+    if (!customEvent.trim() || isNaN(points)) return
+    onChange(Devotion.Record(devotion, customEvent.trim(), points))
+    setCustomEvent('')
+    setCustomPoints('1')
+  }
+
+  return (
+    <div className="mt-2 ml-4 space-y-2 text-sm">
+      <p>
+        <b>Devotion:</b> <span id="dd-devotion">{devotion.points}</span>
+      </p>
+
+      {events.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {events.map((event) => (
+            <Button
+              key={event.event}
+              type="button"
+              size="sm"
+              variant="secondary"
+              title={event.description}
+              onClick={() => onChange(Devotion.Record(devotion, event.event, event.points))}
+            >
+              +{event.points} {event.event}
+            </Button>
+          ))}
+        </div>
+      ) : (
+        <p className="text-muted-foreground">{deity.name} has no devotion events; log them below.</p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Label htmlFor="dd-devotion-event">Other</Label>
+        <Input
+          id="dd-devotion-event"
+          type="text"
+          className="w-[14rem] h-8"
+          placeholder="What happened"
+          value={customEvent}
+          onChange={(e) => setCustomEvent(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleCustomEvent()}
+        />
+        <Input
+          type="number"
+          className="w-[5rem] h-8"
+          value={customPoints}
+          onChange={(e) => setCustomPoints(e.target.value)}
+        />
+        <Button type="button" size="sm" variant="secondary" onClick={handleCustomEvent}>
+          Log
+        </Button>
+      </div>
+
+      {effects.length > 0 && (
+        <div>
+          <b>Effects:</b>
+          <ul>
+            {effects.map((effect) => (
+              <li key={effect.effect} className={effect.unlocked ? '' : 'text-muted-foreground'}>
+                {effect.effect} {effect.unlocked ? '' : '(at ' + effect.unlock + ' devotion)'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {fanaticism.length > 0 && (
+        <div>
+          <b>Fanaticism:</b>
+          <ul>
+            {fanaticism.map((level) => (
+              <li key={level.threshold} className={level.reached ? 'text-red-700' : 'text-muted-foreground'}>
+                {level.reached ? 'Reached' : 'At'} {level.threshold} devotion: {level.description}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {devotion.log.length > 0 && (
+        <div>
+          <b>Log:</b>
+          <ul>
+            {devotion.log
+              .map((entry, index) => (
+                <li key={index}>
+                  {entry.date} - {entry.event} ({entry.points > 0 ? '+' : ''}
+                  {entry.points})
+                </li>
+              ))
+              .reverse()}
+          </ul>
+          <Button type="button" size="sm" variant="secondary" onClick={() => onChange(Devotion.Undo(devotion))}>
+            Undo Last
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DevotionPanel
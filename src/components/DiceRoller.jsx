@@ -0,0 +1,59 @@
+'use client'
+
+import { useState } from 'react'
+import Dice from '@/lib/utils/dice'
+import { Button } from '@/components/ui/button'
+import { Card } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+
+/**
+ * Small dice roller showing how each roll was made
+ * Accepts any expression understood by Dice (e.g. '4d6kh3', '1d20 adv', '2d6+3')
+ */
+const DiceRoller = () => {
+  const [expression, setExpression] = useState('1d20')
+  const [results, setResults] = useState([])
+  const [rollError, setRollError] = useState(null)
+
+  const handleRoll = () => {
+    try {
+      const result = Dice.Roll(expression)
+      setResults((prev) => [result, ...prev].slice(0, 5))
+      setRollError(null)
+    } catch (err) {
+      setRollError(err.message)
+    }
+  }
+
+  return (
+    <Card className="p-4 max-w-2xl mx-auto text-left">
+      <div className="flex items-center gap-2">
+        <Label htmlFor="dice-input">
+          <b>Dice</b>
+        </Label>
+        <Input
+          id="dice-input"
+          type="text"
+          className="w-[12rem]"
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleRoll()}
+        />
+        <Button type="button" variant="secondary" onClick={handleRoll}>
+          Roll
+        </Button>
+      </div>
+      {rollError && <p className="text-sm text-red-700 mt-2">{rollError}</p>}
+      <ul className="mt-2">
+        {results.map((result, index) => (
+          <li key={index} className={index === 0 ? 'font-bold' : 'text-muted-foreground'}>
+            {result.total} <span className="text-sm font-normal">({Dice.Format(result)})</span>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  )
+}
+
+export default DiceRoller
@@ -0,0 +1,68 @@
+'use client'
+
+import { Button } from '@/components/ui/button'
+import { Card } from '@/components/ui/card'
+
+/**
+ * Generation history timeline
+ * Lists every roll of the session, newest first, with undo/redo buttons;
+ * clicking an entry jumps back to it
+ * @param {Object} history - History from useHistory
+ * @param {Function} onJump - Called with the index of the entry to restore
+ */
+const HistoryPanel = ({ history, onJump }) => {
+  const shownEntries = history.entries.map((entry, index) => ({ ...entry, index })).reverse()
+
+  return (
+    <Card className="p-4 max-w-2xl mx-auto text-left">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-xl font-semibold">History</h2>
+        <div className="flex gap-2">
+          <Button
+            type="button"
+            size="sm"
+            variant="secondary"
+            disabled={!history.canUndo}
+            onClick={() => onJump(history.index - 1)}
+          >
+            Undo
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            variant="secondary"
+            disabled={!history.canRedo}
+            onClick={() => onJump(history.index + 1)}
+          >
+            Redo
+          </Button>
+        </div>
+      </div>
+      <ol className="mt-2 max-h-64 overflow-y-auto">
+        {shownEntries.map((entry) => (
+          <li key={entry.index}>
+            <button
+              type="button"
+              className={
+                'w-full text-left px-2 py-1 rounded hover:bg-blue-50 ' +
+                (entry.index === history.index ? 'font-bold bg-blue-50' : '') +
+                (entry.index > history.index ? ' text-muted-foreground' : '')
+              }
+              onClick={() => onJump(entry.index)}
+            >
+              {entry.label}
+              {entry.value.Name && <span> – {entry.value.Name}</span>}{' '}
+              {entry.time && (
+                <span className="text-sm font-normal text-muted-foreground">
+                  {new Date(entry.time).toLocaleTimeString()}
+                </span>
+              )}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </Card>
+  )
+}
+
+export default HistoryPanel
@@ -0,0 +1,88 @@
+'use client'
+
+import { useState, useRef } from 'react'
+import { parseHomebrewBook } from '@/lib/utils/homebrew'
+import { Button } from '@/components/ui/button'
+
+/**
+ * Homebrew book manager
+ * Registers homebrew books from JSON files; registered books show up in the book checklist
+ * @param {Array} books - Registered homebrew books
+ * @param {Object} data - Character data the books are merged into
+ * @param {Function} onChange - Called with the new list of homebrew books
+ */
+const HomebrewPanel = ({ books, data, onChange }) => {
+  const [homebrewMessage, setHomebrewMessage] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const handleAdd = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      try {
+        const book = parseHomebrewBook(e.target.result, data)
+        onChange(books.concat(book))
+        setHomebrewMessage({ error: false, text: 'Added ' + book.name + ' (' + book.code + ').' })
+      } catch (err) {
+        setHomebrewMessage({ error: true, text: err.message })
+      }
+    }
+    reader.readAsText(file)
+  }
+
+  const handleRemove = (book) => {
+    if (!confirm('Remove the homebrew book ' + book.name + '?')) return
+    onChange(books.filter((other) => other.code !== book.code))
+    setHomebrewMessage(null)
+  }
+
+  // e.g. '2 races, 1 background'
+  const describe = (book) =>
+    ['races', 'classes', 'backgrounds', 'regions']
+      .filter((section) => book[section])
+      .map((section) => Object.keys(book[section]).length + ' ' + section)
+      .join(', ')
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <b>Homebrew Books:</b>
+        <Button type="button" size="sm" variant="secondary" onClick={() => fileInputRef.current?.click()}>
+          Add Homebrew Book
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleAdd}
+          className="hidden"
+        />
+      </div>
+      {books.length > 0 && (
+        <ul>
+          {books.map((book) => (
+            <li key={book.code} className="flex items-center gap-2">
+              <span>
+                {book.name} <sup>({book.code})</sup>{' '}
+                <span className="text-sm text-muted-foreground">{describe(book)}</span>
+              </span>
+              <Button type="button" size="sm" variant="destructive" onClick={() => handleRemove(book)}>
+                Remove
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {homebrewMessage && (
+        <p className={'text-sm whitespace-pre-line ' + (homebrewMessage.error ? 'text-red-700' : 'text-muted-foreground')}>
+          {homebrewMessage.text}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default HomebrewPanel
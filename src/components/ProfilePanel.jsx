@@ -0,0 +1,155 @@
+'use client'
+
+import { useState, useRef } from 'react'
+import {
+  createProfile,
+  loadProfiles,
+  saveProfile,
+  deleteProfile,
+  parseProfile,
+  downloadProfile,
+} from '@/lib/utils/profiles'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+
+/**
+ * Campaign profile picker
+ * Switches books, race-weight mode, ethnicity mode and default dropdowns in one click,
+ * and saves, exports or imports the current configuration as a named profile
+ * @param {Object} booksData - Books data with availableBooks and presets
+ * @param {Object} options - Current options {books, raceRandomizer, ethnicityType, selections}
+ * @param {Function} onApply - Called with the profile to switch to
+ */
+const ProfilePanel = ({ booksData, options, onApply }) => {
+  const [profiles, setProfiles] = useState(() => loadProfiles(booksData))
+  const [profileName, setProfileName] = useState('')
+  const [newName, setNewName] = useState('')
+  const [profileMessage, setProfileMessage] = useState(null)
+  const importInputRef = useRef(null)
+
+  const selectedProfile = profiles.find((profile) => profile.name === profileName)
+
+  const handleApply = () => {
+    if (!selectedProfile) return
+    onApply(selectedProfile)
+    setProfileMessage({ error: false, text: 'Switched to ' + selectedProfile.name + '.' })
+  }
+
+  const handleSave = () => {
+    const name = newName.trim()
+    if (!name) return
+    if (profiles.some((profile) => profile.builtIn && profile.name === name)) {
+      setProfileMessage({ error: true, text: name + ' is a built-in preset; pick another name.' })
+      return
+    }
+    saveProfile(createProfile(name, options))
+    setProfiles(loadProfiles(booksData))
+    setProfileName(name)
+    setNewName('')
+    setProfileMessage({ error: false, text: 'Saved ' + name + '.' })
+  }
+
+  const handleDelete = () => {
+    if (!selectedProfile || selectedProfile.builtIn) return
+    deleteProfile(selectedProfile.name)
+    setProfiles(loadProfiles(booksData))
+    setProfileName('')
+  }
+
+  const handleImport = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      try {
+        const profile = parseProfile(e.target.result, booksData)
+        if (profiles.some((saved) => saved.builtIn && saved.name === profile.name)) {
+          profile.name += ' (Imported)'
+        }
+        saveProfile(profile)
+        setProfiles(loadProfiles(booksData))
+        setProfileName(profile.name)
+        onApply(profile)
+        setProfileMessage({ error: false, text: 'Imported and switched to ' + profile.name + '.' })
+      } catch (err) {
+        setProfileMessage({ error: true, text: err.message })
+      }
+    }
+    reader.readAsText(file)
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <Label className="font-bold">Campaign Profile:</Label>
+        <Select value={profileName} onValueChange={setProfileName}>
+          <SelectTrigger className="w-[14rem]">
+            <SelectValue placeholder="Choose a profile" />
+          </SelectTrigger>
+          <SelectContent>
+            {profiles.map((profile) => (
+              <SelectItem key={profile.name} value={profile.name}>
+                {profile.name}
+                {profile.builtIn ? ' (Preset)' : ''}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button type="button" size="sm" onClick={handleApply} disabled={!selectedProfile}>
+          Apply
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="secondary"
+          onClick={() => downloadProfile(selectedProfile)}
+          disabled={!selectedProfile}
+        >
+          Export
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="destructive"
+          onClick={handleDelete}
+          disabled={!selectedProfile || selectedProfile.builtIn}
+        >
+          Delete
+        </Button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Input
+          type="text"
+          className="w-[14rem]"
+          placeholder="Profile name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+        />
+        <Button type="button" size="sm" variant="secondary" onClick={handleSave} disabled={!newName.trim()}>
+          Save Current Settings
+        </Button>
+        <Button type="button" size="sm" variant="secondary" onClick={() => importInputRef.current?.click()}>
+          Import Profile
+        </Button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+      {profileMessage && (
+        <p className={'text-sm whitespace-pre-line ' + (profileMessage.error ? 'text-red-700' : 'text-muted-foreground')}>
+          {profileMessage.text}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default ProfilePanel
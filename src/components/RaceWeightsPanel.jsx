@@ -0,0 +1,79 @@
+'use client'
+
+import { getRaceProbabilities, RACE_MODE_POWERS } from '@/lib/utils/raceWeights'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+
+/**
+ * Race weighting editor
+ * Shows the chance of every race under the current books, race mode and region, and
+ * lets the user override each race's weight (blank uses the default, 0 leaves the race out)
+ * @param {Object} data - Character data with races and other
+ * @param {Array} usedBooks - Selected books
+ * @param {string} raceMode - Race randomizer mode
+ * @param {Object|null} region - Selected region
+ * @param {Object} weights - The user's weight overrides
+ * @param {Function} onChange - Called with the new overrides
+ */
+const RaceWeightsPanel = ({ data, usedBooks, raceMode, region, weights, onChange }) => {
+  const rows = getRaceProbabilities(data.races, data.other, usedBooks, RACE_MODE_POWERS[raceMode], weights, region)
+
+  const handleWeightChange = (raceName, value) => {
+    const newWeights = { ...weights }
+    const weight = parseFloat(value)
+    if (value === '' || isNaN(weight) || weight < 0) delete newWeights[raceName]
+    else newWeights[raceName] = weight
+    onChange(newWeights)
+  }
+
+  return (
+    <details className="space-y-2">
+      <summary className="cursor-pointer font-bold">Race Weights</summary>
+      <p className="text-sm text-muted-foreground">
+        {region?.races ? 'Defaults from ' + region.name + '. ' : ''}
+        {raceMode === 'normal' && !region?.races
+          ? 'Normal mode picks adventurers evenly from every race; these chances are used for the people met in life events.'
+          : 'Chances for adventurers and for the people met in life events.'}
+      </p>
+      <table className="text-sm">
+        <thead>
+          <tr>
+            <th className="text-left pr-4">Race</th>
+            <th className="text-left pr-4">Weight</th>
+            <th className="text-right">Chance</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.name}>
+              <td className="pr-4">{row.override !== undefined ? <b>{row.name}</b> : row.name}</td>
+              <td className="pr-4">
+                <Input
+                  type="number"
+                  min="0"
+                  step="any"
+                  className="w-[6rem] h-8"
+                  placeholder={String(row.defaultWeight)}
+                  value={row.override ?? ''}
+                  onChange={(e) => handleWeightChange(row.name, e.target.value)}
+                />
+              </td>
+              <td className="text-right">{(row.probability * 100).toFixed(1)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <Button
+        type="button"
+        size="sm"
+        variant="secondary"
+        onClick={() => onChange({})}
+        disabled={Object.keys(weights).length == 0}
+      >
+        Reset to Defaults
+      </Button>
+    </details>
+  )
+}
+
+export default RaceWeightsPanel
@@ -0,0 +1,173 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import {
+  loadRoster,
+  saveRosterEntry,
+  deleteRosterEntry,
+  duplicateRosterEntry,
+  getRosterPortrait,
+  parseTags,
+} from '@/lib/utils/roster'
+import { Button } from '@/components/ui/button'
+import { Card } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+
+const SystemLabels = {
+  dnd: 'D&D',
+  darkdawn: 'Dark Dawn',
+}
+
+/**
+ * Saved character roster
+ * Saves the current character (with its portrait) to browser storage and lists
+ * saved D&D and Dark Dawn characters to reopen, duplicate or delete
+ * @param {string} gameSystem - Current game system ('dnd' or 'darkdawn')
+ * @param {Object} character - Current character of that system
+ * @param {string} portrait - Uploaded portrait data URL (may be null)
+ * @param {Function} onOpen - Called with (entry, portrait) to reopen a saved character
+ */
+const RosterPanel = ({ gameSystem, character, portrait, onOpen }) => {
+  const [entries, setEntries] = useState([])
+  const [saveName, setSaveName] = useState('')
+  const [saveTags, setSaveTags] = useState('')
+  const [search, setSearch] = useState('')
+  const [systemFilter, setSystemFilter] = useState('all')
+  const [rosterError, setRosterError] = useState(null)
+
+  // localStorage only exists in the browser, so load after mounting
+  useEffect(() => {
+    loadRoster().then(setEntries)
+  }, [])
+
+  const runRosterAction = async (action) => {
+    try {
+      await action()
+      setEntries(await loadRoster())
+      setRosterError(null)
+    } catch (err) {
+      console.error('Roster error:', err)
+      setRosterError(err.message)
+    }
+  }
+
+  const handleSave = () =>
+    runRosterAction(async () => {
+      await saveRosterEntry({
+        system: gameSystem,
+        name: saveName.trim() || character.Name,
+        tags: parseTags(saveTags),
+        character: character,
+        portrait: portrait,
+      })
+      setSaveName('')
+      setSaveTags('')
+    })
+
+  const handleOpen = (entry) =>
+    runRosterAction(async () => {
+      onOpen(entry, await getRosterPortrait(entry))
+    })
+
+  const handleDuplicate = (entry) => runRosterAction(() => duplicateRosterEntry(entry.id))
+
+  const handleDelete = (entry) => {
+    if (!confirm('Delete ' + entry.name + ' from the roster?')) return
+    runRosterAction(() => deleteRosterEntry(entry.id))
+  }
+
+  const searchText = search.trim().toLowerCase()
+  const shownEntries = entries.filter(
+    (entry) =>
+      (systemFilter === 'all' || entry.system === systemFilter) &&
+      (searchText.length === 0 ||
+        entry.name.toLowerCase().includes(searchText) ||
+        entry.tags.some((tag) => tag.toLowerCase().includes(searchText)))
+  )
+
+  return (
+    <Card className="p-4 max-w-2xl mx-auto text-left">
+      <h2 className="text-xl font-semibold">Roster</h2>
+      <div className="flex flex-wrap items-end gap-2 mt-2">
+        <div>
+          <Label htmlFor="roster-name">Name</Label>
+          <Input
+            id="roster-name"
+            type="text"
+            className="w-[12rem]"
+            placeholder={character.Name || 'Unnamed Character'}
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+          />
+        </div>
+        <div>
+          <Label htmlFor="roster-tags">Tags</Label>
+          <Input
+            id="roster-tags"
+            type="text"
+            className="w-[12rem]"
+            placeholder="villain, waterdeep"
+            value={saveTags}
+            onChange={(e) => setSaveTags(e.target.value)}
+          />
+        </div>
+        <Button type="button" onClick={handleSave} disabled={!character.Race}>
+          Save to Roster
+        </Button>
+      </div>
+      {rosterError && <p className="text-sm text-red-700 mt-2">{rosterError}</p>}
+
+      <div className="flex items-center gap-2 mt-4">
+        <Input
+          type="text"
+          className="w-[12rem]"
+          placeholder="Search names and tags"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <Select value={systemFilter} onValueChange={setSystemFilter}>
+          <SelectTrigger className="w-[10rem]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All Systems</SelectItem>
+            <SelectItem value="dnd">D&D</SelectItem>
+            <SelectItem value="darkdawn">Dark Dawn</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      {shownEntries.length === 0 && (
+        <p className="text-sm text-muted-foreground mt-2">No saved characters.</p>
+      )}
+      <ul className="mt-2 space-y-2">
+        {shownEntries.map((entry) => (
+          <li key={entry.id} className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <b>{entry.name}</b>{' '}
+              <span className="text-sm text-muted-foreground">
+                ({SystemLabels[entry.system]}, {new Date(entry.created).toLocaleDateString()})
+              </span>
+              {entry.tags.length > 0 && <div className="text-sm">Tags: {entry.tags.join(', ')}</div>}
+            </div>
+            <div className="flex gap-2">
+              <Button type="button" size="sm" onClick={() => handleOpen(entry)}>
+                Open
+              </Button>
+              <Button type="button" size="sm" variant="secondary" onClick={() => handleDuplicate(entry)}>
+                Duplicate
+              </Button>
+              <Button type="button" size="sm" variant="destructive" onClick={() => handleDelete(entry)}>
+                Delete
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  )
+}
+
+export default RosterPanel
@@ -0,0 +1,58 @@
+'use client'
+
+import { Card } from '@/components/ui/card'
+
+/**
+ * One group of the trace with its decisions, collapsed below the top level
+ * @param {Object} node - Trace group {label, children}
+ * @param {number} depth - Nesting depth
+ */
+const TraceGroup = ({ node, depth }) => (
+  <details open={depth < 1} className={depth > 0 ? 'ml-3' : ''}>
+    <summary className="cursor-pointer font-semibold">{node.label}</summary>
+    <ul className="ml-3">
+      {node.children.map((child, index) =>
+        child.children ? (
+          <li key={index}>
+            <TraceGroup node={child} depth={depth + 1} />
+          </li>
+        ) : (
+          <li key={index}>
+            <span className="text-muted-foreground">{child.label}:</span> {child.detail}
+          </li>
+        )
+      )}
+    </ul>
+  </details>
+)
+
+/**
+ * Explain mode trace viewer
+ * Shows the tables rolled, book filters and specials applied, random values and
+ * chosen entries of the last explained generation as a collapsible tree
+ * @param {Object} trace - Trace tree from Trace.Stop
+ */
+const TracePanel = ({ trace }) => {
+  return (
+    <Card className="p-4 max-w-md w-full text-left text-sm">
+      <h2 className="text-xl font-semibold">Explain</h2>
+      <div className="mt-2 max-h-[40rem] overflow-y-auto">
+        {trace.children.length > 0 ? (
+          trace.children.map((child, index) =>
+            child.children ? (
+              <TraceGroup key={index} node={child} depth={0} />
+            ) : (
+              <p key={index}>
+                <span className="text-muted-foreground">{child.label}:</span> {child.detail}
+              </p>
+            )
+          )
+        ) : (
+          <p className="text-muted-foreground">Nothing was rolled for {trace.label}.</p>
+        )}
+      </div>
+    </Card>
+  )
+}
+
+export default TracePanel
@@ -0,0 +1,219 @@
+/**
+ * Ability score generation module
+ * Rolls or buys the six ability scores, assigns them by class priority
+ * and applies racial (or Tasha's floating) bonuses
+ */
+
+import Random from '../utils/random';
+import Dice from '../utils/dice';
+import Names from './names';
+
+/**
+ * Shuffle a copy of an array
+ * @param {Array} arr - Array to shuffle
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(arr) {
+  const copy = arr.slice();
+  for (let index = copy.length - 1; index > 0; index--) {
+    const swapIndex = Random.Num(index + 1);
+    [copy[index], copy[swapIndex]] = [copy[swapIndex], copy[index]];
+  }
+  return copy;
+}
+
+const Abilities = {
+  /**
+   * Get the six base values for a method (unassigned)
+   * @param {string} method - Method key ('4d6', 'standard', 'pointbuy', '3d6')
+   * @param {Object} abilityData - Abilities data
+   * @returns {Object} {values, rolls} where rolls are the Dice breakdowns (if any)
+   */
+  Roll: function (method, abilityData) {
+    const methodData = abilityData.methods[method] || abilityData.methods['4d6'];
+    const count = abilityData.abilities.length;
+
+    if (methodData.array) return { values: methodData.array.slice(), rolls: [] };
+    if (methodData.points) return { values: this.PointBuy(methodData, count), rolls: [] };
+
+    const values = [],
+      rolls = [];
+    for (let index = 0; index < count; index++) {
+      const result = Dice.Roll(methodData.roll);
+      values.push(result.total);
+      rolls.push(Dice.Format(result));
+    }
+    return { values: values, rolls: rolls };
+  },
+
+  /**
+   * Spend point buy points at random
+   * @param {Object} methodData - Point buy data with points, min, max, costs
+   * @param {number} count - Number of abilities
+   * @returns {Array} Scores
+   */
+  PointBuy: function (methodData, count) {
+    const scores = new Array(count).fill(methodData.min);
+    let points = methodData.points;
+
+    // Keep raising random scores until nothing affordable is left
+    for (;;) {
+      const affordable = [];
+      for (let index = 0; index < count; index++) {
+        if (scores[index] >= methodData.max) continue;
+        const cost = methodData.costs[scores[index] + 1] - methodData.costs[scores[index]];
+        if (cost <= points) affordable.push(index);
+      }
+      if (affordable.length == 0) return scores;
+      const index = Random.Array(affordable);
+      points -= methodData.costs[scores[index] + 1] - methodData.costs[scores[index]];
+      scores[index]++;
+    }
+  },
+
+  /**
+   * Order abilities by class priority: primary, then secondary, then the rest
+   * Abilities within each group are shuffled
+   * @param {string} className - Class name
+   * @param {Object} abilityData - Abilities data
+   * @returns {Array} Ability names, most important first
+   */
+  Priority: function (className, abilityData) {
+    const priorities = abilityData.classPriorities[className] || { primary: [], secondary: [] };
+    const rest = abilityData.abilities.filter(
+      (ability) => !priorities.primary.includes(ability) && !priorities.secondary.includes(ability)
+    );
+    return shuffle(priorities.primary).concat(shuffle(priorities.secondary), shuffle(rest));
+  },
+
+  /**
+   * Get racial ability bonuses for a character
+   * @param {Object} character - Character with Race
+   * @param {Array} priority - Ability priority order
+   * @param {Object} abilityData - Abilities data
+   * @param {string} bonusMode - 'racial' or 'floating' (Tasha's Customizing Your Origin)
+   * @returns {Object} Bonus per ability name
+   */
+  RacialBonuses: function (character, priority, abilityData, bonusMode = 'racial') {
+    const bonusData = abilityData.racialBonuses;
+    const fixed = {},
+      choose = [];
+
+    [character.Race?.name, Names.GetSubrace(character)].forEach((source) => {
+      const sourceBonuses = bonusData[source];
+      if (!sourceBonuses) return;
+      for (let ability in sourceBonuses) {
+        if (ability == '_choose') choose.push(...sourceBonuses._choose);
+        else fixed[ability] = (fixed[ability] || 0) + sourceBonuses[ability];
+      }
+    });
+
+    // Floating bonuses move every increase to the class's best abilities; penalties stay put
+    const bonuses = {};
+    if (bonusMode == 'floating') {
+      const increases = choose.slice();
+      for (let ability in fixed) {
+        if (fixed[ability] > 0) increases.push(fixed[ability]);
+        else bonuses[ability] = fixed[ability];
+      }
+      increases.sort((a, b) => b - a);
+      increases.forEach((increase, index) => {
+        const ability = priority[index % priority.length];
+        bonuses[ability] = (bonuses[ability] || 0) + increase;
+      });
+      return bonuses;
+    }
+
+    Object.assign(bonuses, fixed);
+    const choices = priority.filter((ability) => !(ability in fixed));
+    choose
+      .slice()
+      .sort((a, b) => b - a)
+      .forEach((increase, index) => {
+        const ability = choices[index % choices.length];
+        bonuses[ability] = (bonuses[ability] || 0) + increase;
+      });
+    return bonuses;
+  },
+
+  /**
+   * Get ability modifier for a score
+   * @param {number} score - Ability score
+   * @returns {number} Modifier
+   */
+  Modifier: function (score) {
+    return Math.floor((score - 10) / 2);
+  },
+
+  /**
+   * Format a score with its modifier, e.g. '15 (+2)'
+   * @param {number} score - Ability score
+   * @returns {string} Formatted score
+   */
+  Format: function (score) {
+    return score + ' (' + this.FormatBonus(this.Modifier(score)) + ')';
+  },
+
+  /**
+   * Format a bonus or modifier with its sign, e.g. '+2' or '-1'
+   * @param {number} bonus - Bonus
+   * @returns {string} Signed bonus
+   */
+  FormatBonus: function (bonus) {
+    return (bonus >= 0 ? '+' : '') + bonus;
+  },
+
+  /**
+   * Apply level-up ability score improvements to generated scores
+   * @param {Object} abilities - Abilities object (from Get)
+   * @param {Array} improvements - Improvements from Levels.Get (optional)
+   * @returns {Object} Final score per ability name
+   */
+  Final: function (abilities, improvements = []) {
+    const scores = Object.assign({}, abilities?.Scores);
+    improvements.forEach((improvement) => {
+      for (let ability in improvement.Increases)
+        scores[ability] = Math.min(scores[ability] + improvement.Increases[ability], 20);
+    });
+    return scores;
+  },
+
+  /**
+   * Generate ability scores for a character
+   * @param {Object} context - Context with data, character, abilityMethod, abilityBonusMode
+   * @returns {Object} Abilities object {Method, Scores, Base, Bonuses, Rolls}
+   */
+  Get: function (context) {
+    const { data, character, abilityMethod = '4d6', abilityBonusMode = 'racial' } = context;
+    const abilityData = data.abilities;
+    const methodData = abilityData.methods[abilityMethod] || abilityData.methods['4d6'];
+
+    const { values, rolls } = this.Roll(abilityMethod, abilityData);
+    const priority = this.Priority(character.Class?.name, abilityData);
+    const bonuses = this.RacialBonuses(character, priority, abilityData, abilityBonusMode);
+
+    // Highest values go to the most important abilities, unless rolled straight down the line
+    const base = {};
+    if (methodData.inOrder) {
+      abilityData.abilities.forEach((ability, index) => (base[ability] = values[index]));
+    } else {
+      values.sort((a, b) => b - a);
+      priority.forEach((ability, index) => (base[ability] = values[index]));
+    }
+
+    const scores = {};
+    abilityData.abilities.forEach((ability) => {
+      scores[ability] = base[ability] + (bonuses[ability] || 0);
+    });
+
+    return {
+      Method: methodData.name,
+      Scores: scores,
+      Base: base,
+      Bonuses: bonuses,
+      Rolls: rolls,
+    };
+  },
+};
+
+export default Abilities;
@@ -5,10 +5,18 @@
  */
 
 import Random from '../utils/random';
+import Trace from '../utils/trace';
+import Tables from '../utils/tables';
+import { getRaceWeights } from '../utils/raceWeights';
+import { BookSelection } from '../utils/books';
 import Content from './content';
 import Names from './names';
 import NPC from './npc';
 import Life from './life';
+import Abilities from './abilities';
+import Levels from './levels';
+import Equipment from './equipment';
+import Spells from './spells';
 
 /**
  * Determine race based on weighted probabilities
@@ -16,61 +24,12 @@ import Life from './life';
  * @param {Object} other - Other data with raceWeights
  * @param {Array} usedBooks - List of used books
  * @param {number} pow - Power to apply to weights (1, 1.5, or 2)
+ * @param {Object} overrides - The user's race weights, replacing the defaults
+ * @param {Object|null} region - Region whose race weights replace the defaults
  * @returns {string} Race name
  */
-function getRaceWeighted(races, other, usedBooks, pow = 1) {
-  let raceWeightList = {},
-    totalWeight = 0;
-
-  // Add weighted races
-  for (let raceName in other.raceWeights) {
-    let weight = Math.pow(other.raceWeights[raceName], pow);
-    raceWeightList[raceName] = weight;
-    totalWeight += weight;
-  }
-
-  // Add unweighted races from non-PHB books
-  for (let raceName in races) {
-    let race = races[raceName];
-    if (race._special.includes('PHB') || !checkBookSpecial(race._special, usedBooks)) continue;
-    raceWeightList[raceName] = 1;
-    totalWeight += 1;
-  }
-
-  // Pick random race based on weights
-  let rand = Random.Num(totalWeight);
-  for (let race in raceWeightList) {
-    rand -= raceWeightList[race];
-    if (rand <= 0) return race;
-  }
-}
-
-/**
- * Check if special string includes any used book
- * @param {string} specialString - Special string
- * @param {Array} usedBooks - Used books array
- * @returns {boolean} True if book is available
- */
-function checkBookSpecial(specialString, usedBooks) {
-  let splitSpecial = specialString.split(' ');
-  for (let specialIndex = 0; specialIndex < splitSpecial.length; specialIndex++) {
-    if (splitSpecial[specialIndex].slice(0, 5) == 'book-')
-      return checkBookString(splitSpecial[specialIndex].slice(5), usedBooks);
-  }
-  return false;
-}
-
-/**
- * Check if book string matches any used book
- * @param {string} bookString - Book identifier(s)
- * @param {Array} usedBooks - Used books array
- * @returns {boolean} True if book is available
- */
-function checkBookString(bookString, usedBooks) {
-  for (let index = 0; index < usedBooks.length; index++) {
-    if (bookString.includes(usedBooks[index])) return true;
-  }
-  return false;
+function getRaceWeighted(races, other, usedBooks, pow = 1, overrides = {}, region = null) {
+  return Tables.Roll(Tables.FromWeights(getRaceWeights(races, other, usedBooks, pow, overrides, region)));
 }
 
 const Generate = {
@@ -80,7 +39,7 @@ const Generate = {
    * @returns {Object} Race object
    */
   Race: function (context) {
-    const { data, locks, raceMode, raceMenuValue, ethnicityOption } = context;
+    const { data, locks, raceMode, raceMenuValue, ethnicityOption, raceWeights, region } = context;
 
     if (locks.race) return context.character.Race;
 
@@ -92,13 +51,15 @@ const Generate = {
     if (raceMenuValue && raceMenuValue !== 'Random') {
       raceSelection = raceMenuValue;
     } else {
-      // Apply race mode
+      // Apply race mode (a region's demographics are rolled even in normal mode)
       if (raceMode === 'weighted') {
-        raceSelection = getRaceWeighted(data.races, data.other, context.usedBooks, 1);
+        raceSelection = getRaceWeighted(data.races, data.other, context.usedBooks, 1, raceWeights, region);
       } else if (raceMode === 'weighted15') {
-        raceSelection = getRaceWeighted(data.races, data.other, context.usedBooks, 1.5);
+        raceSelection = getRaceWeighted(data.races, data.other, context.usedBooks, 1.5, raceWeights, region);
       } else if (raceMode === 'weighted20') {
-        raceSelection = getRaceWeighted(data.races, data.other, context.usedBooks, 2);
+        raceSelection = getRaceWeighted(data.races, data.other, context.usedBooks, 2, raceWeights, region);
+      } else if (region?.races) {
+        raceSelection = getRaceWeighted(data.races, data.other, context.usedBooks, 1, raceWeights, region);
       } else {
         raceSelection = 'Random';
       }
@@ -153,10 +114,14 @@ const Generate = {
    */
   Class: function (context) {
     const { data, locks, classMenuValue } = context;
+    const level =
+      locks.level && context.character.Level ? context.character.Level.Level : context.level;
 
-    if (locks.class) return context.character.Class;
+    // The subclass is only kept (or rolled) once the level reaches the class's subclass level
+    if (locks.class) return Levels.FitSubclass(context.character.Class, level, context);
 
-    return Content.GetRandom(data.classes, classMenuValue || 'Random', context);
+    const classObj = Content.GetRandom(data.classes, classMenuValue || 'Random', context);
+    return Levels.FitSubclass(classObj, level, context);
   },
 
   /**
@@ -172,30 +137,103 @@ const Generate = {
     return Content.GetRandom(data.backgrounds, backgroundMenuValue || 'Random', context);
   },
 
+  /**
+   * Generate ability scores
+   * @param {Object} context - Context with data, locks, abilityMethod, abilityBonusMode
+   * @returns {Object} Abilities object
+   */
+  Abilities: function (context) {
+    const { locks } = context;
+
+    if (locks.abilities) return context.character.Abilities;
+
+    return Abilities.Get(context);
+  },
+
+  /**
+   * Generate level, hit points, proficiency bonus and ability score improvements
+   * @param {Object} context - Context with data, locks, level, hpMode
+   * @returns {Object} Level object
+   */
+  Level: function (context) {
+    const { locks } = context;
+
+    if (locks.level && context.character.Level) return context.character.Level;
+
+    return Levels.Get(context);
+  },
+
+  /**
+   * Generate cantrips and known/prepared spells
+   * @param {Object} context - Context with data, locks, usedBooks
+   * @returns {Array|null} Spellcasting object per casting class (null for non-casters)
+   */
+  Spells: function (context) {
+    const { locks } = context;
+
+    if (locks.spells) return context.character.Spells;
+
+    return Spells.Get(context);
+  },
+
+  /**
+   * Generate starting equipment and gold
+   * @param {Object} context - Context with data, locks, equipmentMode
+   * @returns {Object} Inventory object
+   */
+  Inventory: function (context) {
+    const { locks } = context;
+
+    if (locks.inventory) return context.character.Inventory;
+
+    return Equipment.Get(context);
+  },
+
   /**
    * Generate all character components
-   * @param {Object} context - Context with all data and options
+   * @param {Object} context - Context with all data and options (context.seed makes it reproducible)
    * @returns {Object} Complete character object
    */
   All: function (context) {
-    const character = {};
+    // Start from the previous character so locked parts can be carried over
+    const character = Object.assign({}, context.character);
 
-    // Generate in order
-    character.Race = this.Race(context);
+    // A book selection can be passed instead of a list of used books
+    if (context.bookSelection) context.usedBooks = BookSelection.UsedBooks(context.bookSelection);
+
+    // Seed the generator so the same seed, data and options give the same character
+    if (context.seed !== undefined) {
+      Random.Seed(context.seed, 'character');
+      character.Seed = context.seed;
+    }
+    if (context.ethnicityType === 'both')
+      context.ethnicityOption = Random.Array(['standard', 'real']);
+
+    // Generate in order (each part is a step in the trace when explaining)
+    character.Race = Trace.Step('Race', () => this.Race(context));
     context.character = character;
 
-    character.Gender = this.Gender(context);
-    const nameObj = this.Name(context);
+    character.Gender = Trace.Step('Gender', () => this.Gender(context));
+    const nameObj = Trace.Step('Name', () => this.Name(context));
     character.Name = nameObj.Name;
     character.ShortName = nameObj.ShortName;
 
-    character.Class = this.Class(context);
-    character.Background = this.Background(context);
+    character.Class = Trace.Step('Class', () => this.Class(context));
+    character.Background = Trace.Step('Background', () => this.Background(context));
+    character.Abilities = Trace.Step('Abilities', () => this.Abilities(context));
+    character.Level = Trace.Step('Level', () => this.Level(context));
+    // When multiclassed the primary class may be below its subclass level
+    const primaryLevel = character.Level?.Classes?.[0]?.Level ?? character.Level?.Level;
+    character.Class = Levels.FitSubclass(character.Class, primaryLevel, context);
+    character.Spells = Trace.Step('Spells', () => this.Spells(context));
 
     // Generate NPC traits, occupation, and Life events
-    character.Occupation = NPC.GetOccupation(false);
-    character.NPCTraits = NPC.GetTraits(context.data);
-    character.Life = Life.Get(context);
+    character.Occupation = Trace.Step('Occupation', () => NPC.GetOccupation(context.data, false, null, context.region));
+    character.NPCTraits = Trace.Step('NPC Traits', () => NPC.GetTraits(context.data, context.seed));
+    character.Life = Trace.Group('Life', () => Life.Get(context));
+
+    // Equipment comes last so gold from life events can be added
+    character.Inventory = Trace.Step('Inventory', () => this.Inventory(context));
 
     return character;
   },
@@ -5,13 +5,174 @@
  */
 
 import Random from '../utils/random';
+import Dice from '../utils/dice';
+import Trace from '../utils/trace';
+import Tables from '../utils/tables';
+import { filterRegionWeights } from '../utils/regions';
 
-// Helper to check if object is empty
+// Helper to check if the result of a special is empty
+// Specials can resolve to a plain string (e.g. a subclass name picked by booksort);
+// only null, '' and objects without keys count as empty, so those strings are kept
 function isEmptyObject(obj) {
-  if (!obj || typeof obj !== 'object') return true;
+  if (obj == null || obj === '') return true;
+  if (typeof obj !== 'object') return false;
   return Object.keys(obj).length === 0;
 }
 
+// Specials used without a handler, reported once each
+const unknownSpecials = new Set();
+
+/**
+ * Special handlers by name
+ * Each is called as handler(specialItem, args, context) with Content as this,
+ * where args are the dash-separated parts after the name
+ */
+const specialHandlers = {
+  // Remove this item if we don't have the necessary book
+  book: function (specialItem, args, context) {
+    return this.CheckBookString(args[0], context.usedBooks) ? specialItem : null;
+  },
+
+  // Merge arrays from applicable books
+  booksort: function (specialItem, args, context) {
+    return this.BookSort(specialItem, context.usedBooks);
+  },
+
+  // Output height, weight, appearance, etc
+  characteristics: function (specialItem) {
+    return this.GetCharacteristics(specialItem);
+  },
+
+  // Get property according to gender
+  gendersort: function (specialItem, args, context) {
+    const { character } = context;
+    return character.Gender == 'Male'
+      ? specialItem.Male
+      : character.Gender == 'Female'
+      ? specialItem.Female
+      : Random.Array([specialItem.Male, specialItem.Female]);
+  },
+
+  // Get human ethnicity for half-humans
+  halfethnicity: function (specialItem, args, context) {
+    context.mcEthnicity =
+      Tables.Roll(context.data.other.halfEthnicity) == 'Known' ? this.GetRandomEthnicity(context) : 'Unknown';
+    return context.mcEthnicity;
+  },
+
+  // Get human ethnicity for full-humans
+  humanethnicity: function (specialItem, args, context) {
+    context.mcEthnicity = this.GetRandomEthnicity(context);
+    return context.mcEthnicity;
+  },
+
+  // Handle subrace selection
+  subracesort: function (specialItem, args, context) {
+    let SubracePropName = args.length > 0 ? args[0].split('_').join(' ') : 'Subrace',
+      subracesAndVariants = specialItem['Subraces and Variants'],
+      newSubVar = {},
+      subraceString;
+
+    for (let propertyName in subracesAndVariants) {
+      if (propertyName == SubracePropName) {
+        subraceString = Array.isArray(subracesAndVariants[propertyName])
+          ? Random.Array(subracesAndVariants[SubracePropName])
+          : this.BookSort(subracesAndVariants[SubracePropName], context.usedBooks);
+        newSubVar[propertyName] = subraceString;
+      } else newSubVar[propertyName] = subracesAndVariants[propertyName];
+    }
+
+    // Other properties (e.g. added by homebrew books) are kept after these two
+    let otherProperties = Object.assign({}, specialItem);
+    delete otherProperties['Subraces and Variants'];
+    delete otherProperties['Physical Characteristics'];
+    return {
+      'Subraces and Variants': newSubVar,
+      'Physical Characteristics': specialItem['Physical Characteristics'][subraceString],
+      ...otherProperties,
+    };
+  },
+
+  // Physical characteristics per subrace; subracesort normally picks the matching one,
+  // anywhere else a random subrace's characteristics are used
+  subracephyssort: function (specialItem) {
+    const subraces = Object.keys(specialItem).filter((subrace) => subrace != '_special');
+    return subraces.length > 0 ? specialItem[Random.Array(subraces)] : null;
+  },
+
+  // Physical characteristics per elven ancestry for half-elves; subracesort normally picks
+  // the matching one, anywhere else a random ancestry's characteristics are used
+  halfelfvariantphys: function (specialItem) {
+    return specialHandlers.subracephyssort.call(this, specialItem);
+  },
+
+  // Wildemount dragonborn variants
+  dragonbornvarianttype: function (specialItem, args, context) {
+    if (!context.usedBooks.includes('EGtW')) return null;
+    return Random.Array(specialItem._array);
+  },
+
+  // Eberron dragonmarks
+  dragonmarkvariant: function (specialItem, args, context) {
+    if (!context.usedBooks.includes('EBR') || Tables.Roll(context.data.other.dragonmark) == 'Unmarked') return null;
+    return Random.Array(specialItem._array);
+  },
+
+  // Tieflings have weird appearances
+  tieflingappearance: function (specialItem, args, context) {
+    if (Tables.Roll(context.data.other.tieflingAppearance) == 'Ordinary') return null;
+    return Random.ArrayMultiple(specialItem._array, Dice.Total('1d4+1'));
+  },
+
+  // Tieflings variants
+  tieflingvarianttype: function (specialItem, args, context) {
+    if (!context.usedBooks.includes('SCAG')) return null;
+    return Random.Array(specialItem._array);
+  },
+
+  // Monster origins
+  monstrousorigin: function (specialItem, args, context) {
+    return Random.Array(context.data.other.monstrousOrigins);
+  },
+
+  // SCAG backgrounds
+  backgroundtraits: function (specialItem, args, context) {
+    let backgroundCopy = context.data.backgrounds[args[0].split('_').join(' ')];
+    return {
+      Trait: backgroundCopy.Trait,
+      Ideal: backgroundCopy.Ideal,
+      Bond: backgroundCopy.Bond,
+      Flaw: backgroundCopy.Flaw,
+    };
+  },
+
+  // Ravnica Backgrounds
+  ravnicacontacts: function (specialItem) {
+    let guildName = specialItem['_name'],
+      ravnicaContacts = {};
+    ravnicaContacts[guildName + ' Ally'] = Random.Array(specialItem['_guild']);
+    ravnicaContacts[guildName + ' Rival'] = Random.Array(specialItem['_guild']);
+    let nonGuildContact = Random.Array(specialItem['_nonguild']);
+    if (nonGuildContact == '_reroll') {
+      nonGuildContact = Random.Array(specialItem['_guild']);
+      ravnicaContacts['Additional ' + guildName + ' Contact'] = nonGuildContact;
+    } else ravnicaContacts['Non-' + guildName + ' Contact'] = nonGuildContact;
+    return ravnicaContacts;
+  },
+
+  // Ravnica Backgrounds, House Dimir
+  dimircontacts: function (specialItem, args, context) {
+    let dimirContacts = {},
+      secondaryGuild = Random.Array(specialItem._guilds),
+      otherGuildContacts = context.data.backgrounds[secondaryGuild.background]['Contacts']['_guild'];
+    dimirContacts['Dimir Ally'] = Random.Array(specialItem['_dimircontact']);
+    dimirContacts['Secondary Guild'] = secondaryGuild.name;
+    dimirContacts['Secondary Guild Ally'] = Random.Array(otherGuildContacts);
+    dimirContacts['Secondary Guild Rival'] = Random.Array(otherGuildContacts);
+    return dimirContacts;
+  },
+};
+
 const Content = {
   /**
    * Recursively process content objects
@@ -31,7 +192,7 @@ const Content = {
         }
         let properties = [];
         for (let propertyName in item) {
-          let content = this.Get(item[propertyName], context);
+          let content = Trace.Group(propertyName, () => this.Get(item[propertyName], context));
           if (content != null)
             properties.push({
               name: propertyName,
@@ -52,11 +213,13 @@ const Content = {
    * @returns {Object} Selected property with name and content
    */
   GetRandom: function (item, dropdownVal = 'Random', context) {
-    if (dropdownVal != 'Random')
+    if (dropdownVal != 'Random') {
+      Trace.Note('Chosen in menu', dropdownVal);
       return {
         name: dropdownVal,
-        content: this.Special(item[dropdownVal], context),
+        content: Trace.Group(dropdownVal, () => this.Special(item[dropdownVal], context)),
       };
+    }
     let propsArr = [],
       randomProp;
     for (let propName in item) {
@@ -66,10 +229,11 @@ const Content = {
       )
         propsArr.push(propName);
     }
+    Trace.Note('Selected books allow', propsArr.length + ' of ' + Object.keys(item).length);
     randomProp = Random.Array(propsArr);
     return {
       name: randomProp,
-      content: this.Special(item[randomProp], context),
+      content: Trace.Group(randomProp, () => this.Special(item[randomProp], context)),
     };
   },
 
@@ -92,6 +256,8 @@ const Content = {
 
   /**
    * Apply one special case to an object
+   * Specials look like 'name' or 'name-argument' (e.g. 'book-XGtE', 'subracesort-Heritage')
+   * and are looked up in the special handler registry
    * @param {string} special - Special case identifier
    * @param {Object} specialItem - Item to apply special to
    * @param {Object} context - Context object with data, character, usedBooks
@@ -100,105 +266,54 @@ const Content = {
   ApplySpecial: function (special, specialItem, context) {
     if (specialItem == null || typeof specialItem != 'object') return specialItem;
     let splitSpecial = special.split('-');
-    const { character, data, usedBooks, ethnicityOption } = context;
-
-    switch (splitSpecial[0]) {
-      case 'book': // Remove this item if we don't have the necessary book
-        return this.CheckBookString(splitSpecial[1], usedBooks) ? specialItem : null;
-
-      case 'booksort': // Merge arrays from applicable books
-        return this.BookSort(specialItem, usedBooks);
-
-      case 'characteristics': // Output height, weight, appearance, etc
-        return this.GetCharacteristics(specialItem);
-
-      case 'gendersort': // Get property according to gender
-        return character.Gender == 'Male'
-          ? specialItem.Male
-          : character.Gender == 'Female'
-          ? specialItem.Female
-          : Random.Array([specialItem.Male, specialItem.Female]);
-
-      case 'halfethnicity': // Get human ethnicity for half-humans
-        context.mcEthnicity = Random.Num(5) > 0 ? this.GetRandomEthnicity(context) : 'Unknown';
-        return context.mcEthnicity;
-
-      case 'humanethnicity': // Get human ethnicity for full-humans
-        context.mcEthnicity = this.GetRandomEthnicity(context);
-        return context.mcEthnicity;
-
-      case 'subracesort': // Handle subrace selection
-        let SubracePropName =
-            splitSpecial.length > 1 ? splitSpecial[1].split('_').join(' ') : 'Subrace',
-          subracesAndVariants = specialItem['Subraces and Variants'],
-          newSubVar = {},
-          subraceString;
-
-        for (let propertyName in subracesAndVariants) {
-          if (propertyName == SubracePropName) {
-            subraceString = Array.isArray(subracesAndVariants[propertyName])
-              ? Random.Array(subracesAndVariants[SubracePropName])
-              : this.BookSort(subracesAndVariants[SubracePropName], usedBooks);
-            newSubVar[propertyName] = subraceString;
-          } else newSubVar[propertyName] = subracesAndVariants[propertyName];
-        }
-        return {
-          'Subraces and Variants': newSubVar,
-          'Physical Characteristics': specialItem['Physical Characteristics'][subraceString],
-        };
-
-      case 'dragonbornvarianttype': // Wildemount dragonborn variants
-        if (!usedBooks.includes('EGtW')) return null;
-        return Random.Array(specialItem._array);
-
-      case 'dragonmarkvariant': // Eberron dragonmarks
-        if (!usedBooks.includes('EBR') || Random.Num(2) == 0) return null;
-        return Random.Array(specialItem._array);
-
-      case 'tieflingappearance': // Tieflings have weird appearances
-        if (Random.Num(3) == 0) return null;
-        return Random.ArrayMultiple(specialItem._array, Random.DiceRoll('1d4') + 1);
-
-      case 'tieflingvarianttype': // Tieflings variants
-        if (!usedBooks.includes('SCAG')) return null;
-        return Random.Array(specialItem._array);
-
-      case 'monstrousorigin': // Monster origins
-        return Random.Array(data.other.monstrousOrigins);
-
-      case 'backgroundtraits': // SCAG backgrounds
-        let backgroundCopy = data.backgrounds[splitSpecial[1].split('_').join(' ')];
-        return {
-          Trait: backgroundCopy.Trait,
-          Ideal: backgroundCopy.Ideal,
-          Bond: backgroundCopy.Bond,
-          Flaw: backgroundCopy.Flaw,
-        };
-
-      case 'ravnicacontacts': // Ravnica Backgrounds
-        let guildName = specialItem['_name'],
-          ravnicaContacts = {};
-        ravnicaContacts[guildName + ' Ally'] = Random.Array(specialItem['_guild']);
-        ravnicaContacts[guildName + ' Rival'] = Random.Array(specialItem['_guild']);
-        let nonGuildContact = Random.Array(specialItem['_nonguild']);
-        if (nonGuildContact == '_reroll') {
-          nonGuildContact = Random.Array(specialItem['_guild']);
-          ravnicaContacts['Additional ' + guildName + ' Contact'] = nonGuildContact;
-        } else ravnicaContacts['Non-' + guildName + ' Contact'] = nonGuildContact;
-        return ravnicaContacts;
-
-      case 'dimircontacts': // Ravnica Backgrounds, House Dimir
-        let dimirContacts = {},
-          secondaryGuild = Random.Array(specialItem._guilds),
-          otherGuildContacts =
-            data.backgrounds[secondaryGuild.background]['Contacts']['_guild'];
-        dimirContacts['Dimir Ally'] = Random.Array(specialItem['_dimircontact']);
-        dimirContacts['Secondary Guild'] = secondaryGuild.name;
-        dimirContacts['Secondary Guild Ally'] = Random.Array(otherGuildContacts);
-        dimirContacts['Secondary Guild Rival'] = Random.Array(otherGuildContacts);
-        return dimirContacts;
+    const handler = specialHandlers[splitSpecial[0]];
+    if (!handler) {
+      this.ReportUnknownSpecial(splitSpecial[0]);
+      Trace.Note('Unknown special ' + special, 'used as is');
+      return specialItem;
     }
-    return specialItem;
+    const result = handler.call(this, specialItem, splitSpecial.slice(1), context);
+    Trace.Note('Special ' + special, result == null ? 'removed' : result === specialItem ? 'kept' : result);
+    return result;
+  },
+
+  /**
+   * Register a special handler, so data packs and homebrew modules can add specials
+   * @param {string} name - Special name as used in _special strings (without arguments)
+   * @param {Function} handler - function (specialItem, args, context) returning the transformed
+   *   item (null removes it); called with Content as this
+   */
+  RegisterSpecial: function (name, handler) {
+    if (typeof handler != 'function') throw new Error('Special handler "' + name + '" must be a function');
+    specialHandlers[name] = handler;
+    unknownSpecials.delete(name);
+  },
+
+  /**
+   * Check whether a special has a handler
+   * @param {string} special - Special case identifier (arguments are ignored)
+   * @returns {boolean} True if registered
+   */
+  HasSpecial: function (special) {
+    return specialHandlers.hasOwnProperty(special.split('-')[0]);
+  },
+
+  /**
+   * Report a special with no handler (once per name); the item is passed through unchanged
+   * @param {string} name - Special name
+   */
+  ReportUnknownSpecial: function (name) {
+    if (unknownSpecials.has(name)) return;
+    unknownSpecials.add(name);
+    console.warn('Unknown special "' + name + '" in the data; the item is used as is');
+  },
+
+  /**
+   * Get the specials that were used without a handler
+   * @returns {Array} Special names
+   */
+  GetUnknownSpecials: function () {
+    return Array.from(unknownSpecials);
   },
 
   /**
@@ -209,11 +324,14 @@ const Content = {
    */
   BookSort: function (specialItem, usedBooks) {
     if (specialItem.hasOwnProperty('_special')) delete specialItem._special;
-    let contentArr = [];
+    let contentArr = [],
+      skipped = [];
     for (let bookName in specialItem) {
       if (this.CheckBookString(bookName, usedBooks))
         contentArr = contentArr.concat(specialItem[bookName]);
+      else skipped.push(bookName);
     }
+    if (skipped.length > 0) Trace.Note('Books not selected', skipped.join(', '));
     return Random.Array(contentArr);
   },
 
@@ -228,10 +346,10 @@ const Content = {
     age += age == 1 ? ' year' : ' years';
     chaObj.Age = age;
 
-    let heightmod = Random.DiceRoll(item.heightmod),
+    let heightmod = Dice.Total(item.heightmod),
       intHeight = item.baseheight + heightmod;
     chaObj.Height = Math.floor(intHeight / 12) + "'" + (intHeight % 12) + '"';
-    chaObj.Weight = item.baseweight + heightmod * Random.DiceRoll(item.weightmod) + ' lbs.';
+    chaObj.Weight = item.baseweight + heightmod * Dice.Total(item.weightmod) + ' lbs.';
     let otherObj = item._other;
 
     if (otherObj == undefined) return chaObj;
@@ -241,20 +359,22 @@ const Content = {
 
   /**
    * Get random ethnicity based on settings
-   * @param {Object} context - Context with data, usedBooks, ethnicityOption
+   * @param {Object} context - Context with data, usedBooks, ethnicityOption, region
    * @returns {string} Ethnicity name
    */
   GetRandomEthnicity: function (context) {
-    const { data, usedBooks, ethnicityOption } = context;
-    return ethnicityOption == 'standard'
-      ? usedBooks.includes('SCAG')
-        ? Random.Array(
-            data.races.Human['Subraces and Variants'].Ethnicity.PHB.concat(
-              data.races.Human['Subraces and Variants'].Ethnicity.SCAG
-            )
-          )
-        : Random.Array(data.races.Human['Subraces and Variants'].Ethnicity.PHB)
-      : Random.Array(data.races.Human['Subraces and Variants'].Ethnicity.Real);
+    const { data, usedBooks, ethnicityOption, region } = context;
+    const ethnicityLists = data.races.Human['Subraces and Variants'].Ethnicity;
+    const ethnicities =
+      ethnicityOption == 'standard'
+        ? usedBooks.includes('SCAG')
+          ? ethnicityLists.PHB.concat(ethnicityLists.SCAG)
+          : ethnicityLists.PHB
+        : ethnicityLists.Real;
+
+    // A region's ethnicity weights are used when it lists any of these ethnicities
+    const regionWeights = filterRegionWeights(region?.ethnicities, ethnicities);
+    return regionWeights ? Tables.Roll(Tables.FromWeights(regionWeights)) : Random.Array(ethnicities);
   },
 
   /**
@@ -1,9 +1,147 @@
 /**
  * Dark Dawn character sheet generation module
- * Simple random selection from data pools
+ * Simple random selection from data pools. Every pick can be given an explicit
+ * choice (a name from the dropdowns, or 'Random') and a list of names to
+ * exclude from random picks, the same way the D&D Generate.Race honours the
+ * race menu.
+ *
+ * Lore-strict generation also follows the compatibility rules in rules.json:
+ *
+ *   groups: { 'Old Deities': ['Vat Gi', ...] }
+ *   rules: [{
+ *     when: { class: 'Ecclesiastic' },        every listed attribute must match
+ *     require: { deity: 'New Era Deities' },  the other attribute must be one of these
+ *     forbid: { specialAbility: 'Ascetico' }, the other attribute can't be any of these
+ *     favour: { deity: 'Old Deities' },       these are picked weight times as often
+ *     weight: 3,
+ *     reason: 'Shown when a character breaks the rule'
+ *   }]
+ *
+ * Attributes are keyed like the locks, and each value is a name (as shown on
+ * the sheet), a group name or a list of them. Rules only steer random picks: locked and chosen values are
+ * kept, and CheckRules reports the rules they break. A lore-strict pick also looks ahead, so it
+ * never leaves the attributes picked after it without a legal value; the rules are only broken
+ * when no legal character exists with the locks, choices and exclusions.
  */
 
 import Random from '../utils/random';
+import Tables from '../utils/tables';
+import DarkDawnSheet from './darkdawnSheet';
+
+// Character property of each attribute, keyed like the locks, in the order All picks them
+const ATTRIBUTES = {
+  race: 'Race',
+  class: 'Class',
+  faction: 'Faction',
+  factionAbility: 'FactionAbility',
+  deity: 'Deity',
+  specialAbility: 'SpecialAbility',
+};
+
+const DEFAULT_FAVOUR_WEIGHT = 3;
+
+/**
+ * Expand names and group names to a list of names
+ * @param {string|Array} value - Name, group name or a list of them
+ * @param {Object} groups - Group names mapped to names
+ * @returns {Array} Names
+ */
+function expandNames(value, groups = {}) {
+  return [].concat(value).flatMap((name) => groups[name] || [name]);
+}
+
+/**
+ * Get the name of an attribute of a (partial) character
+ * @param {Object} character - Character
+ * @param {string} key - Attribute key, e.g. 'deity'
+ * @returns {string|undefined} Name, or undefined while the attribute isn't picked
+ */
+function attributeName(character, key) {
+  return character[ATTRIBUTES[key]]?.name;
+}
+
+/**
+ * Find the rules a (partial) character breaks and how much it is favoured
+ * Only rules whose attributes have all been picked are checked.
+ * @param {Object} rulesData - Rules data {groups, rules}
+ * @param {Object} character - Character
+ * @returns {Object} {broken: [rules], weight}
+ */
+function applyRules(rulesData, character) {
+  const groups = rulesData?.groups || {};
+  const result = { broken: [], weight: 1 };
+
+  (rulesData?.rules || []).forEach((rule) => {
+    const applies = Object.keys(rule.when).every((key) => {
+      const name = attributeName(character, key);
+      return name !== undefined && expandNames(rule.when[key], groups).includes(name);
+    });
+    if (!applies) return;
+
+    // Whether any picked target attribute is (listed true) or isn't (listed false) one of the names
+    const anyPicked = (targets, listed) =>
+      Object.keys(targets || {}).some((key) => {
+        const name = attributeName(character, key);
+        return name !== undefined && expandNames(targets[key], groups).includes(name) == listed;
+      });
+    if (anyPicked(rule.require, false) || anyPicked(rule.forbid, true)) result.broken.push(rule);
+    else if (anyPicked(rule.favour, true)) result.weight *= rule.weight || DEFAULT_FAVOUR_WEIGHT;
+  });
+  return result;
+}
+
+/**
+ * Get the names of a pool that random picks choose from
+ * @param {Object} pool - Entries keyed by name
+ * @param {Array} exclude - Names never picked at random (ignored if they would leave nothing)
+ * @returns {Array} Names
+ */
+function candidateNames(pool, exclude = []) {
+  const names = Object.keys(pool);
+  const allowedNames = names.filter((name) => !exclude.includes(name));
+  return allowedNames.length > 0 ? allowedNames : names;
+}
+
+/**
+ * Check whether a (partial) character can be completed without breaking a rule
+ * Tries the remaining attributes depth first and stops at the first legal character.
+ * @param {Object} rulesData - Rules data {groups, rules}
+ * @param {Object} character - Character picked so far
+ * @param {Array} steps - Attributes still to pick {key, candidates(character)}, in order
+ * @returns {boolean} True when a legal character exists
+ */
+function canComplete(rulesData, character, steps) {
+  if (applyRules(rulesData, character).broken.length > 0) return false;
+  if (steps.length == 0) return true;
+  const [step, ...rest] = steps;
+  return step
+    .candidates(character)
+    .some((entry) => canComplete(rulesData, { ...character, [ATTRIBUTES[step.key]]: entry }, rest));
+}
+
+/**
+ * Pick an entry from a pool by choice, or at random among the entries not excluded
+ * @param {Object} pool - Entries keyed by name
+ * @param {string} choice - Name of the entry to use ('Random' or unknown names pick randomly)
+ * @param {Array} exclude - Names never picked at random (ignored if they would leave nothing)
+ * @param {Function} weigh - Weight of each entry from RuleWeigher (null picks evenly; when
+ *   every entry weighs 0 the rules are ignored)
+ * @returns {Object} Entry
+ */
+function pick(pool, choice = 'Random', exclude = [], weigh = null) {
+  if (choice && choice !== 'Random' && pool[choice]) return pool[choice];
+
+  const candidates = candidateNames(pool, exclude);
+  if (!weigh) return pool[Random.Array(candidates)];
+
+  const weights = {};
+  candidates.forEach((name) => {
+    const weight = weigh(pool[name]);
+    if (weight > 0) weights[name] = weight;
+  });
+  if (Object.keys(weights).length == 0) return pool[Random.Array(candidates)];
+  return pool[Tables.Roll(Tables.FromWeights(weights))];
+}
 
 const DarkDawnGenerate = {
   /**
@@ -11,14 +149,15 @@ const DarkDawnGenerate = {
    * @param {Object} races - Races data object
    * @param {Object} current - Current character
    * @param {boolean} locked - Whether race is locked
+   * @param {string} choice - Race chosen in the dropdown, or 'Random'
+   * @param {Array} exclude - Races never picked at random
+   * @param {Function} weigh - Rule weights from RuleWeigher (null ignores the rules)
    * @returns {Object} Race object with name and description
    */
-  Race: function (races, current, locked) {
+  Race: function (races, current, locked, choice = 'Random', exclude = [], weigh = null) {
     if (locked && current?.Race) return current.Race;
 
-    const raceNames = Object.keys(races);
-    const randomName = Random.Array(raceNames);
-    return races[randomName];
+    return pick(races, choice, exclude, weigh);
   },
 
   /**
@@ -26,31 +165,47 @@ const DarkDawnGenerate = {
    * @param {Object} factions - Factions data object
    * @param {Object} current - Current character
    * @param {boolean} locked - Whether faction is locked
+   * @param {string} choice - Faction chosen in the dropdown, or 'Random'
+   * @param {Array} exclude - Factions never picked at random
+   * @param {Function} weigh - Rule weights from RuleWeigher (null ignores the rules)
    * @returns {Object} Faction object with name, description, and abilities
    */
-  Faction: function (factions, current, locked) {
+  Faction: function (factions, current, locked, choice = 'Random', exclude = [], weigh = null) {
     if (locked && current?.Faction) return current.Faction;
 
-    const factionNames = Object.keys(factions);
-    const randomName = Random.Array(factionNames);
-    return factions[randomName];
+    return pick(factions, choice, exclude, weigh);
   },
 
   /**
    * Generate random faction ability (filtered by faction)
+   * A chosen ability the faction doesn't have is ignored
    * @param {Object} faction - Current faction object
    * @param {Object} current - Current character
    * @param {boolean} locked - Whether faction ability is locked
-   * @returns {string} Faction ability name
+   * @param {string} choice - Faction ability chosen in the dropdown, or 'Random'
+   * @param {Array} exclude - Faction abilities never picked at random
+   * @param {Function} weigh - Rule weights from RuleWeigher (null ignores the rules)
+   * @returns {Object} Faction ability object with name and description
    */
-  FactionAbility: function (faction, current, locked) {
+  FactionAbility: function (faction, current, locked, choice = 'Random', exclude = [], weigh = null) {
     if (locked && current?.FactionAbility) return current.FactionAbility;
 
     if (!faction || !faction.abilities || faction.abilities.length === 0) {
       return null;
     }
 
-    return Random.Array(faction.abilities);
+    const abilities = {};
+    faction.abilities.forEach((ability) => (abilities[ability.name] = ability));
+    return pick(abilities, choice, exclude, weigh);
+  },
+
+  /**
+   * Get the faction abilities that can be chosen for a faction
+   * @param {Object} faction - Faction object (may be null)
+   * @returns {Array} Faction ability names
+   */
+  GetFactionAbilityNames: function (faction) {
+    return (faction?.abilities || []).map((ability) => ability.name);
   },
 
   /**
@@ -58,14 +213,15 @@ const DarkDawnGenerate = {
    * @param {Object} deities - Deities data object
    * @param {Object} current - Current character
    * @param {boolean} locked - Whether deity is locked
+   * @param {string} choice - Deity chosen in the dropdown, or 'Random'
+   * @param {Array} exclude - Deities never picked at random
+   * @param {Function} weigh - Rule weights from RuleWeigher (null ignores the rules)
    * @returns {Object} Deity object with name, domain, and description
    */
-  Deity: function (deities, current, locked) {
+  Deity: function (deities, current, locked, choice = 'Random', exclude = [], weigh = null) {
     if (locked && current?.Deity) return current.Deity;
 
-    const deityNames = Object.keys(deities);
-    const randomName = Random.Array(deityNames);
-    return deities[randomName];
+    return pick(deities, choice, exclude, weigh);
   },
 
   /**
@@ -73,14 +229,15 @@ const DarkDawnGenerate = {
    * @param {Object} classes - Classes data object
    * @param {Object} current - Current character
    * @param {boolean} locked - Whether class is locked
+   * @param {string} choice - Class chosen in the dropdown, or 'Random'
+   * @param {Array} exclude - Classes never picked at random
+   * @param {Function} weigh - Rule weights from RuleWeigher (null ignores the rules)
    * @returns {Object} Class object with name and description
    */
-  Class: function (classes, current, locked) {
+  Class: function (classes, current, locked, choice = 'Random', exclude = [], weigh = null) {
     if (locked && current?.Class) return current.Class;
 
-    const classNames = Object.keys(classes);
-    const randomName = Random.Array(classNames);
-    return classes[randomName];
+    return pick(classes, choice, exclude, weigh);
   },
 
   /**
@@ -88,14 +245,65 @@ const DarkDawnGenerate = {
    * @param {Object} specialAbilities - Special abilities data object
    * @param {Object} current - Current character
    * @param {boolean} locked - Whether special ability is locked
+   * @param {string} choice - Special ability chosen in the dropdown, or 'Random'
+   * @param {Array} exclude - Special abilities never picked at random
+   * @param {Function} weigh - Rule weights from RuleWeigher (null ignores the rules)
    * @returns {Object} Special ability object with name and description
    */
-  SpecialAbility: function (specialAbilities, current, locked) {
+  SpecialAbility: function (specialAbilities, current, locked, choice = 'Random', exclude = [], weigh = null) {
     if (locked && current?.SpecialAbility) return current.SpecialAbility;
 
-    const abilityNames = Object.keys(specialAbilities);
-    const randomName = Random.Array(abilityNames);
-    return specialAbilities[randomName];
+    return pick(specialAbilities, choice, exclude, weigh);
+  },
+
+  /**
+   * Generate the starting rank in a special ability
+   * Rolled on the sheet's startingRank table when asked to, otherwise every character starts at rank 1.
+   * The rank never goes past the ability's own tiers (see DarkDawnSheet.AbilityTiers).
+   * @param {Object} ability - Special ability object, with its ranks
+   * @param {Object} sheetData - Sheet data with ranks and startingRank
+   * @param {Object} current - Current character
+   * @param {boolean} locked - Whether special ability is locked (its rank is kept too)
+   * @param {boolean} roll - Whether to roll the starting rank
+   * @returns {number} Rank (1 = the first rank)
+   */
+  SpecialAbilityRank: function (ability, sheetData, current, locked, roll = false) {
+    if (locked && current?.SpecialAbility && current.SpecialAbilityRank) return current.SpecialAbilityRank;
+    if (!roll || !sheetData.startingRank) return 1;
+
+    return Math.min(Tables.Roll(sheetData.startingRank), DarkDawnSheet.MaxRank(ability, sheetData));
+  },
+
+  /**
+   * Create a weight function for lore-strict picks of one attribute
+   * Entries that would break a rule together with the character's other
+   * attributes, or leave no legal value for an attribute picked later, weigh 0;
+   * favoured entries weigh more.
+   * @param {Object} rulesData - Rules data {groups, rules}
+   * @param {Object} character - Character (the attribute being picked is replaced)
+   * @param {string} key - Attribute key, e.g. 'deity'
+   * @param {Array} later - Attributes picked after this one {key, candidates(character)}
+   * @returns {Function} Weight of an entry
+   */
+  RuleWeigher: function (rulesData, character, key, later = []) {
+    return (entry) => {
+      const withEntry = { ...character, [ATTRIBUTES[key]]: entry };
+      const { broken, weight } = applyRules(rulesData, withEntry);
+      if (broken.length > 0 || !canComplete(rulesData, withEntry, later)) return 0;
+      return weight;
+    };
+  },
+
+  /**
+   * Find the compatibility rules a character breaks
+   * @param {Object} rulesData - Rules data {groups, rules}
+   * @param {Object} character - Character
+   * @returns {Array} Reasons of the broken rules
+   */
+  CheckRules: function (rulesData, character) {
+    return applyRules(rulesData, character).broken.map(
+      (rule) => rule.reason || 'Breaks a rule for ' + JSON.stringify(rule.when)
+    );
   },
 
   /**
@@ -104,23 +312,88 @@ const DarkDawnGenerate = {
    * @param {Object} locks - Lock states for each attribute
    * @param {Object} current - Current character state
    * @param {string} name - Character name (optional)
+   * @param {string} seed - Seed for reproducible generation (optional)
+   * @param {Object} options - {choices, exclude, loreStrict, rollRank}; choices and exclude are keyed like
+   *   locks (e.g. {race: 'Humano'}, {deity: ['Vat Gi']}), loreStrict follows data.rules and
+   *   rollRank rolls the special ability's starting rank
    * @returns {Object} Complete character object
    */
-  All: function (data, locks = {}, current = {}, name = '') {
+  All: function (data, locks = {}, current = {}, name = '', seed, options = {}) {
     const character = {};
+    const choices = options.choices || {};
+    const exclude = options.exclude || {};
 
-    // Generate all attributes
-    character.Race = this.Race(data.races, current, locks.race);
-    character.Faction = this.Faction(data.factions, current, locks.faction);
-    character.Class = this.Class(data.classes, current, locks.class);
-    character.Deity = this.Deity(data.deities, current, locks.deity);
-    character.SpecialAbility = this.SpecialAbility(data.specialAbilities, current, locks.specialAbility);
+    // Locked and chosen attributes are known up front, so lore-strict picks made before them follow them too
+    const pools = {
+      race: data.races,
+      class: data.classes,
+      faction: data.factions,
+      deity: data.deities,
+      specialAbility: data.specialAbilities,
+    };
+    const known = {};
+    for (let key in ATTRIBUTES) {
+      const property = ATTRIBUTES[key];
+      if (locks[key] && current[property]) known[property] = current[property];
+      else if (pools[key]?.[choices[key]]) known[property] = pools[key][choices[key]];
+    }
+
+    // The values a random pick can give each attribute, for looking ahead
+    const candidates = (key, partial) => {
+      if (known[ATTRIBUTES[key]]) return [known[ATTRIBUTES[key]]];
+      let pool = pools[key];
+      if (key == 'factionAbility') {
+        pool = {};
+        (partial.Faction?.abilities || []).forEach((ability) => (pool[ability.name] = ability));
+        if (pool[choices.factionAbility]) return [pool[choices.factionAbility]];
+      }
+      const names = candidateNames(pool, exclude[key]);
+      return names.length > 0 ? names.map((name) => pool[name]) : [null];
+    };
+    const keys = Object.keys(ATTRIBUTES);
+    const later = (key) =>
+      keys.slice(keys.indexOf(key) + 1).map((laterKey) => ({
+        key: laterKey,
+        candidates: (partial) => candidates(laterKey, partial),
+      }));
+    const weigh = (key) =>
+      options.loreStrict ? this.RuleWeigher(data.rules, { ...known, ...character }, key, later(key)) : null;
+
+    if (seed !== undefined) {
+      Random.Seed(seed, 'darkdawn');
+      character.Seed = seed;
+    }
+
+    // Generate all attributes (lore-strict picks follow the rules against the attributes known so far)
+    character.Race = this.Race(data.races, current, locks.race, choices.race, exclude.race, weigh('race'));
+    character.Class = this.Class(data.classes, current, locks.class, choices.class, exclude.class, weigh('class'));
+    character.Faction = this.Faction(
+      data.factions,
+      current,
+      locks.faction,
+      choices.faction,
+      exclude.faction,
+      weigh('faction')
+    );
 
     // Faction ability depends on faction
     character.FactionAbility = this.FactionAbility(
       character.Faction,
       current,
-      locks.factionAbility
+      locks.factionAbility,
+      choices.factionAbility,
+      exclude.factionAbility,
+      weigh('factionAbility')
+    );
+
+    character.Deity = this.Deity(data.deities, current, locks.deity, choices.deity, exclude.deity, weigh('deity'));
+    character.SpecialAbility = this.SpecialAbility(
+      data.specialAbilities,
+      current,
+      locks.specialAbility,
+      choices.specialAbility,
+      exclude.specialAbility,
+      weigh('specialAbility')
     );
 
     // Name is optional
@@ -130,6 +403,23 @@ const DarkDawnGenerate = {
       character.Name = name || '';
     }
 
+    // Stats, level, rank and inventory (see darkdawnSheet.js)
+    if (data.sheet) {
+      Object.assign(character, DarkDawnSheet.Get(character, data.sheet, current, locks));
+      character.SpecialAbilityRank = this.SpecialAbilityRank(
+        character.SpecialAbility,
+        data.sheet,
+        current,
+        locks.specialAbility,
+        options.rollRank
+      );
+    }
+
+    // Devotion is kept while the deity stays the same
+    if (current.Devotion && current.Devotion.deity === character.Deity?.name) {
+      character.Devotion = current.Devotion;
+    }
+
     return character;
   },
 };
@@ -0,0 +1,246 @@
+/**
+ * Dark Dawn sheet module
+ * Builds the playable part of a Dark Dawn character on top of the picks made by
+ * DarkDawnGenerate, using sheet.json:
+ *
+ *   Stats               the stat array, highest values on the class's main stats
+ *   Level               {Level, Experience}, levels from the experience table
+ *   SpecialAbilityRank  rank in the special ability (1 = the first of the ranks); each
+ *                       special ability lists what every rank unlocks in its ranks
+ *   Inventory           {Items: [{Name, Source, Quantity}]}, starting with the kit
+ *
+ * Everything can be edited after generation; the helpers below keep the parts consistent.
+ * The numbers in sheet.json are placeholders until the setting defines them (see the README).
+ */
+
+import Random from '../utils/random';
+
+/**
+ * Shuffle a copy of an array
+ * @param {Array} arr - Array to shuffle
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(arr) {
+  const copy = arr.slice();
+  for (let index = copy.length - 1; index > 0; index--) {
+    const swapIndex = Random.Num(index + 1);
+    [copy[index], copy[swapIndex]] = [copy[swapIndex], copy[index]];
+  }
+  return copy;
+}
+
+const DarkDawnSheet = {
+  /**
+   * Get the main stats of a class, most important first
+   * @param {Object} ddClass - Class object with mainStats, e.g. 'Constitution | Control'
+   * @param {Object} sheetData - Sheet data
+   * @returns {Array} Stat names
+   */
+  MainStats: function (ddClass, sheetData) {
+    return (ddClass?.mainStats || '')
+      .split('|')
+      .map((stat) => stat.trim())
+      .filter((stat) => sheetData.stats.includes(stat));
+  },
+
+  /**
+   * Put stat values on the stats, highest on the class's main stats
+   * The other stats are shuffled.
+   * @param {Array} values - Stat values
+   * @param {Object} ddClass - Class object with mainStats
+   * @param {Object} sheetData - Sheet data
+   * @returns {Object} Stat names mapped to values, in the order of sheetData.stats
+   */
+  AssignStats: function (values, ddClass, sheetData) {
+    const mainStats = this.MainStats(ddClass, sheetData);
+    const order = mainStats.concat(shuffle(sheetData.stats.filter((stat) => !mainStats.includes(stat))));
+    const sorted = values.slice().sort((a, b) => b - a);
+
+    const assigned = {};
+    order.forEach((stat, index) => (assigned[stat] = sorted[index]));
+    const stats = {};
+    sheetData.stats.forEach((stat) => (stats[stat] = assigned[stat]));
+    return stats;
+  },
+
+  /**
+   * Generate stats for a class from the stat array
+   * @param {Object} ddClass - Class object with mainStats
+   * @param {Object} sheetData - Sheet data
+   * @returns {Object} Stat names mapped to values
+   */
+  Stats: function (ddClass, sheetData) {
+    return this.AssignStats(sheetData.statArray, ddClass, sheetData);
+  },
+
+  /**
+   * Move a character's stat values onto a new class's main stats
+   * @param {Object} stats - Current stats
+   * @param {Object} ddClass - New class object
+   * @param {Object} sheetData - Sheet data
+   * @returns {Object} Stat names mapped to values
+   */
+  ReassignStats: function (stats, ddClass, sheetData) {
+    return this.AssignStats(Object.values(stats), ddClass, sheetData);
+  },
+
+  /**
+   * Clamp a stat value to 0-maxStat
+   * @param {number|string} value - Stat value
+   * @param {Object} sheetData - Sheet data
+   * @returns {number} Stat value
+   */
+  ClampStat: function (value, sheetData) {
+    return Math.min(Math.max(parseInt(value) || 0, 0), sheetData.maxStat);
+  },
+
+  /**
+   * Get the level reached with an amount of experience
+   * @param {number} experience - Experience points
+   * @param {Object} sheetData - Sheet data
+   * @returns {number} Level
+   */
+  LevelForExperience: function (experience, sheetData) {
+    let level = 1;
+    sheetData.experience.forEach((needed, index) => {
+      if (experience >= needed) level = index + 1;
+    });
+    return level;
+  },
+
+  /**
+   * Set experience, levelling up or down to match
+   * @param {number|string} experience - Experience points
+   * @param {Object} sheetData - Sheet data
+   * @returns {Object} Level object {Level, Experience}
+   */
+  SetExperience: function (experience, sheetData) {
+    const points = Math.max(parseInt(experience) || 0, 0);
+    return { Level: this.LevelForExperience(points, sheetData), Experience: points };
+  },
+
+  /**
+   * Set the level, with the experience it starts at
+   * @param {number|string} level - Level
+   * @param {Object} sheetData - Sheet data
+   * @returns {Object} Level object {Level, Experience}
+   */
+  SetLevel: function (level, sheetData) {
+    const newLevel = Math.min(Math.max(parseInt(level) || 1, 1), sheetData.experience.length);
+    return { Level: newLevel, Experience: sheetData.experience[newLevel - 1] };
+  },
+
+  /**
+   * Get the experience needed for the next level
+   * @param {Object} level - Level object {Level, Experience}
+   * @param {Object} sheetData - Sheet data
+   * @returns {number|null} Experience points, or null at the highest level
+   */
+  NextLevelExperience: function (level, sheetData) {
+    return sheetData.experience[level.Level] ?? null;
+  },
+
+  /**
+   * Get the name of a special ability rank
+   * @param {number} rank - Rank (1 = the first of the ranks)
+   * @param {Object} sheetData - Sheet data
+   * @returns {string} Rank name
+   */
+  RankName: function (rank, sheetData) {
+    return sheetData.ranks[rank - 1] || 'Rank ' + rank;
+  },
+
+  /**
+   * Get the highest rank of a special ability
+   * @param {Object} ability - Special ability object
+   * @param {Object} sheetData - Sheet data
+   * @returns {number} Rank
+   */
+  MaxRank: function (ability, sheetData) {
+    return ability?.ranks?.length || sheetData.ranks.length;
+  },
+
+  /**
+   * Get the progression of a special ability, one tier per rank
+   * @param {Object} ability - Special ability object with ranks [{unlock}]
+   * @param {Object} sheetData - Sheet data
+   * @returns {Array} Tiers {rank, name, unlock}
+   */
+  AbilityTiers: function (ability, sheetData) {
+    const tiers = [];
+    for (let rank = 1; rank <= this.MaxRank(ability, sheetData); rank++) {
+      tiers.push({ rank, name: this.RankName(rank, sheetData), unlock: ability?.ranks?.[rank - 1]?.unlock || '' });
+    }
+    return tiers;
+  },
+
+  /**
+   * Get the starting inventory
+   * @param {Object} sheetData - Sheet data
+   * @returns {Object} Inventory object {Items}
+   */
+  Inventory: function (sheetData) {
+    return {
+      Items: sheetData.inventory.map((item) => ({ Name: item.name, Source: 'Kit', Quantity: item.quantity })),
+    };
+  },
+
+  /**
+   * Add an item to an inventory, stacking it with an item of the same name
+   * @param {Object} inventory - Inventory object {Items}
+   * @param {string} name - Item name
+   * @param {number} quantity - Number of items
+   * @returns {Object} New inventory object
+   */
+  AddItem: function (inventory, name, quantity = 1) {
+    const items = inventory.Items.slice();
+    const index = items.findIndex((item) => item.Name == name);
+    if (index >= 0) items[index] = { ...items[index], Quantity: items[index].Quantity + quantity };
+    else items.push({ Name: name, Source: 'Found', Quantity: quantity });
+    return { ...inventory, Items: items };
+  },
+
+  /**
+   * Change the quantity of an inventory item (0 or less removes it)
+   * @param {Object} inventory - Inventory object {Items}
+   * @param {number} index - Item index
+   * @param {number} quantity - New quantity
+   * @returns {Object} New inventory object
+   */
+  SetQuantity: function (inventory, index, quantity) {
+    const items =
+      quantity > 0
+        ? inventory.Items.map((item, itemIndex) => (itemIndex == index ? { ...item, Quantity: quantity } : item))
+        : inventory.Items.filter((item, itemIndex) => itemIndex != index);
+    return { ...inventory, Items: items };
+  },
+
+  /**
+   * Generate the sheet of a character
+   * A locked sheet keeps the current character's stats, level and inventory, so edits
+   * survive regenerating; its stats move onto the new class's main stats unless the
+   * class is locked too. The special ability rank comes from DarkDawnGenerate.SpecialAbilityRank.
+   * @param {Object} character - Dark Dawn character with a class
+   * @param {Object} sheetData - Sheet data
+   * @param {Object} current - Current character
+   * @param {Object} locks - Lock states (sheet, class)
+   * @returns {Object} {Stats, Level, Inventory}
+   */
+  Get: function (character, sheetData, current = {}, locks = {}) {
+    if (!locks.sheet || !current.Stats) {
+      return {
+        Stats: this.Stats(character.Class, sheetData),
+        Level: this.SetLevel(1, sheetData),
+        Inventory: this.Inventory(sheetData),
+      };
+    }
+
+    return {
+      Stats: locks.class ? current.Stats : this.ReassignStats(current.Stats, character.Class, sheetData),
+      Level: current.Level || this.SetLevel(1, sheetData),
+      Inventory: current.Inventory || this.Inventory(sheetData),
+    };
+  },
+};
+
+export default DarkDawnSheet;
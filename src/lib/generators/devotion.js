@@ -0,0 +1,109 @@
+/**
+ * Devotion module
+ * Tracks a Dark Dawn character's devotion to their deity. Each bonus in deities.json
+ * says how devotion is earned (devotion, with a short event name for the log and the
+ * points each event is worth), what it grants (effect, unlocked at `unlock` devotion)
+ * and when the follower turns fanatic (fanaticism, reached at `fanaticismAt` devotion).
+ * A bonus only has a fanaticism threshold once both its fanaticism text and
+ * fanaticismAt are filled in.
+ *
+ * The tracker is kept on the character as Devotion = {deity, points, log}, so it is
+ * saved, exported and shared along with the rest of the character. A tracker kept
+ * for another deity is ignored, so changing deity starts over from 0.
+ */
+
+// Devotion earned by an event when the bonus doesn't say
+const DEFAULT_POINTS = 1;
+
+// Devotion needed for a bonus's effect when the bonus doesn't say
+const DEFAULT_UNLOCK = 1;
+
+const Devotion = {
+  /**
+   * Get the devotion tracker of a character's current deity
+   * @param {Object} character - Dark Dawn character
+   * @returns {Object} Tracker {deity, points, log}
+   */
+  Get: function (character) {
+    const deityName = character?.Deity?.name || '';
+    const tracker = character?.Devotion;
+    if (tracker && tracker.deity === deityName) return tracker;
+    return { deity: deityName, points: 0, log: [] };
+  },
+
+  /**
+   * Get the events that earn devotion with a deity
+   * @param {Object} deity - Deity object with bonuses
+   * @returns {Array} Events {event, points, description}
+   */
+  Events: function (deity) {
+    return (deity?.bonuses || [])
+      .filter((bonus) => bonus.event)
+      .map((bonus) => ({ event: bonus.event, points: bonus.points ?? DEFAULT_POINTS, description: bonus.devotion }));
+  },
+
+  /**
+   * Log a devotion event
+   * Negative points take devotion away, but never below 0.
+   * @param {Object} tracker - Tracker from Get
+   * @param {string} event - What happened, e.g. '10 enemies defeated'
+   * @param {number} points - Devotion gained
+   * @param {string} date - Date of the event (defaults to today)
+   * @returns {Object} New tracker
+   */
+  Record: function (tracker, event, points = 1, date = new Date().toISOString().slice(0, 10)) {
+    const gained = Math.max(points, -tracker.points);
+    if (gained == 0) return tracker;
+    return {
+      ...tracker,
+      points: tracker.points + gained,
+      log: tracker.log.concat({ event, points: gained, date }),
+    };
+  },
+
+  /**
+   * Take back the last logged event
+   * @param {Object} tracker - Tracker from Get
+   * @returns {Object} New tracker
+   */
+  Undo: function (tracker) {
+    if (tracker.log.length == 0) return tracker;
+    const last = tracker.log[tracker.log.length - 1];
+    return { ...tracker, points: tracker.points - last.points, log: tracker.log.slice(0, -1) };
+  },
+
+  /**
+   * Get the effects of a deity's bonuses
+   * @param {Object} deity - Deity object with bonuses
+   * @param {number} points - Devotion points
+   * @returns {Array} Effects {effect, unlock, unlocked}
+   */
+  Effects: function (deity, points) {
+    return (deity?.bonuses || [])
+      .filter((bonus) => bonus.effect)
+      .map((bonus) => {
+        const unlock = bonus.unlock ?? DEFAULT_UNLOCK;
+        return { effect: bonus.effect, unlock, unlocked: points >= unlock };
+      });
+  },
+
+  /**
+   * Get the fanaticism thresholds of a deity's bonuses
+   * Bonuses without fanaticism text have no threshold.
+   * @param {Object} deity - Deity object with bonuses
+   * @param {number} points - Devotion points
+   * @returns {Array} Thresholds {threshold, description, reached}, lowest first
+   */
+  Fanaticism: function (deity, points) {
+    return (deity?.bonuses || [])
+      .filter((bonus) => bonus.fanaticism && bonus.fanaticismAt !== undefined)
+      .map((bonus) => ({
+        threshold: bonus.fanaticismAt,
+        description: bonus.fanaticism,
+        reached: points >= bonus.fanaticismAt,
+      }))
+      .sort((a, b) => a.threshold - b.threshold);
+  },
+};
+
+export default Devotion;
@@ -0,0 +1,133 @@
+/**
+ * Starting equipment module
+ * Picks class equipment options and background kits, and rolls starting gold
+ * (including gold gained from life events)
+ */
+
+import Random from '../utils/random';
+import Dice from '../utils/dice';
+
+/**
+ * Add an item to an inventory list, stacking items with the same name and source
+ * @param {Array} items - Inventory items [{Name, Source, Quantity}]
+ * @param {string} name - Item name
+ * @param {string} source - Where the item came from ('Class' or 'Background')
+ */
+function addItem(items, name, source) {
+  const existing = items.find((item) => item.Name == name && item.Source == source);
+  if (existing) existing.Quantity++;
+  else items.push({ Name: name, Source: source, Quantity: 1 });
+}
+
+const Equipment = {
+  /**
+   * Resolve a '{list name}' placeholder to a random item from that list
+   * @param {string} item - Item name or placeholder
+   * @param {Object} equipmentData - Equipment data
+   * @returns {string} Item name
+   */
+  ResolveItem: function (item, equipmentData) {
+    const match = item.match(/^\{(.+)\}$/);
+    if (!match || !equipmentData.lists[match[1]]) return item;
+    return Random.Array(equipmentData.lists[match[1]]);
+  },
+
+  /**
+   * Pick one alternative from every starting equipment option of a class
+   * @param {string} className - Class name
+   * @param {Object} equipmentData - Equipment data
+   * @returns {Array} Item names
+   */
+  ClassItems: function (className, equipmentData) {
+    const classData = equipmentData.classes[className];
+    if (!classData) return [];
+
+    const picked = [];
+    classData.options.forEach((option) => {
+      const choice = Random.Array(option);
+      picked.push(...(Array.isArray(choice) ? choice : [choice]));
+    });
+    return picked.concat(classData.items).map((item) => this.ResolveItem(item, equipmentData));
+  },
+
+  /**
+   * Get the equipment kit and gold of a background
+   * @param {string} backgroundName - Background name
+   * @param {Object} equipmentData - Equipment data
+   * @returns {Object} {items, gold}
+   */
+  BackgroundKit: function (backgroundName, equipmentData) {
+    const kit = equipmentData.backgrounds[backgroundName] || equipmentData.defaultBackground;
+    return {
+      items: kit.items.map((item) => this.ResolveItem(item, equipmentData)),
+      gold: kit.gold,
+    };
+  },
+
+  /**
+   * Roll the gold granted by life events (e.g. the Job event's extra 2d6 gp)
+   * @param {Object} life - Life object from Life.Get
+   * @param {Object} equipmentData - Equipment data
+   * @returns {Array} Gold sources [{Source, Amount, Roll}]
+   */
+  LifeEventGold: function (life, equipmentData) {
+    const lifeEvents = life?.['Life Events'] || {};
+    const sources = [];
+
+    for (let eventType in lifeEvents) {
+      const eventGold = equipmentData.lifeEventGold.find((entry) =>
+        String(lifeEvents[eventType]).includes(entry.text)
+      );
+      if (!eventGold) continue;
+      const result = Dice.Roll(eventGold.roll);
+      sources.push({ Source: eventType, Amount: result.total, Roll: Dice.Format(result) });
+    }
+
+    return sources;
+  },
+
+  /**
+   * Generate starting equipment and gold for a character
+   * @param {Object} context - Context with data, character, equipmentMode
+   * @returns {Object} Inventory object {Mode, Items, Gold, GoldSources}
+   */
+  Get: function (context) {
+    const { data, character, equipmentMode = 'equipment' } = context;
+    const equipmentData = data.equipment;
+    const items = [];
+    const goldSources = [];
+
+    // Either take the class's starting equipment or roll its starting wealth instead
+    const className = character.Class?.name;
+    if (equipmentMode == 'gold' && equipmentData.classes[className]) {
+      const result = Dice.Roll(equipmentData.classes[className].gold);
+      goldSources.push({ Source: className, Amount: result.total, Roll: Dice.Format(result) });
+    } else {
+      this.ClassItems(className, equipmentData).forEach((item) => addItem(items, item, 'Class'));
+    }
+
+    const kit = this.BackgroundKit(character.Background?.name, equipmentData);
+    kit.items.forEach((item) => addItem(items, item, 'Background'));
+    goldSources.push({ Source: character.Background?.name || 'Background', Amount: kit.gold, Roll: null });
+
+    goldSources.push(...this.LifeEventGold(character.Life, equipmentData));
+
+    return {
+      Mode: equipmentMode,
+      Items: items,
+      Gold: goldSources.reduce((total, source) => total + source.Amount, 0),
+      GoldSources: goldSources,
+    };
+  },
+
+  /**
+   * Format an inventory item, e.g. 'Dagger (x2)'
+   * @param {Object} item - Inventory item {Name, Source, Quantity}
+   * @returns {string} Formatted item
+   */
+  FormatItem: function (item) {
+    return item.Name + (item.Quantity > 1 ? ' (x' + item.Quantity + ')' : '');
+  },
+};
+
+export default Equipment;
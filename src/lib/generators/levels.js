@@ -0,0 +1,294 @@
+/**
+ * Level progression module
+ * Handles hit points, proficiency bonus, subclass timing and ability score improvements
+ */
+
+import Random from '../utils/random';
+import Dice from '../utils/dice';
+import Content from './content';
+import Abilities from './abilities';
+
+/**
+ * Subclass property name of each class in classes.json
+ */
+export const SubclassLabels = {
+  Barbarian: 'Primal Path',
+  Bard: 'Bard College',
+  Cleric: 'Divine Domain',
+  Druid: 'Druid Circle',
+  Fighter: 'Martial Archetype',
+  Monk: 'Monastic Tradition',
+  Paladin: 'Sacred Oath',
+  Ranger: 'Ranger Archetype',
+  Rogue: 'Roguish Archetype',
+  Sorcerer: 'Sorcerous Origin',
+  Warlock: 'Otherworldly Patron',
+  Wizard: 'Arcane Tradition',
+  Artificer: 'Artificer Specialty',
+  Mystic: 'Mystic Order',
+  'Blood Hunter': 'Blood Hunter Order',
+};
+
+const Levels = {
+  /**
+   * Clamp a level value to 1-maxLevel
+   * @param {number|string} level - Level value
+   * @param {Object} levelData - Levels data
+   * @returns {number} Level
+   */
+  Clamp: function (level, levelData) {
+    const parsed = parseInt(level) || 1;
+    return Math.min(Math.max(parsed, 1), levelData.maxLevel);
+  },
+
+  /**
+   * Check whether a class has picked its subclass by a level
+   * @param {string} className - Class name
+   * @param {number} level - Character level
+   * @param {Object} levelData - Levels data
+   * @returns {boolean} True if the subclass is available
+   */
+  HasSubclass: function (className, level, levelData) {
+    const classLevels = levelData.classes[className];
+    return !classLevels || level >= classLevels.subclassLevel;
+  },
+
+  /**
+   * Make a class's subclass match a level
+   * Below the class's subclass level the subclass is removed; at or above it
+   * one is rolled (respecting the book selection) if the class has none yet
+   * @param {Object} classObj - Class object {name, content}
+   * @param {number} level - Character level
+   * @param {Object} context - Context with data and usedBooks
+   * @returns {Object} Class object (a copy if the subclass changed)
+   */
+  FitSubclass: function (classObj, level, context) {
+    const label = SubclassLabels[classObj?.name];
+    if (!label) return classObj;
+    const content = classObj.content || [];
+    const hasSubclass = content.some((trait) => trait.name == label);
+
+    if (!this.HasSubclass(classObj.name, level, context.data.levels)) {
+      if (!hasSubclass) return classObj;
+      return { ...classObj, content: content.filter((trait) => trait.name != label) };
+    }
+    if (hasSubclass) return classObj;
+
+    const subclass = Content.Get(context.data.classes[classObj.name][label], context);
+    if (subclass == null) return classObj;
+    return { ...classObj, content: [{ name: label, content: subclass }].concat(content) };
+  },
+
+  /**
+   * Roll or average hit points
+   * The first hit die is always taken at its maximum
+   * @param {Array} hitDice - Hit die size for every character level, in order
+   * @param {number} conModifier - Constitution modifier
+   * @param {string} hpMode - 'average' or 'rolled'
+   * @returns {Object} {total, rolls}
+   */
+  HitPoints: function (hitDice, conModifier, hpMode) {
+    let total = Math.max(hitDice[0] + conModifier, 1);
+    const rolls = ['Level 1: ' + hitDice[0] + ' (max)'];
+
+    for (let index = 1; index < hitDice.length; index++) {
+      let gained;
+      if (hpMode == 'rolled') {
+        const result = Dice.Roll('1d' + hitDice[index]);
+        gained = result.total;
+        rolls.push('Level ' + (index + 1) + ': ' + Dice.Format(result));
+      } else gained = hitDice[index] / 2 + 1;
+      total += Math.max(gained + conModifier, 1);
+    }
+
+    return { total: total, rolls: hpMode == 'rolled' ? rolls : [] };
+  },
+
+  /**
+   * Pick ability score improvements or feats for every ASI level reached
+   * Increases go to the primary class's most important abilities, capped at 20
+   * @param {Object} character - Character with Class and Abilities
+   * @param {Array} asiLevels - Improvements to fill [{Class, Level}] (Class only set when multiclassed)
+   * @param {Object} context - Context with data
+   * @returns {Array} Improvements [{Level, Class, Choice, Increases}]
+   */
+  Improvements: function (character, asiLevels, context) {
+    const { data } = context;
+    const scores = Object.assign({}, character.Abilities?.Scores);
+    const priority = Abilities.Priority(character.Class?.name, data.abilities);
+    const improvements = [];
+
+    asiLevels.forEach((asiLevel) => {
+      const open = priority.filter((ability) => scores[ability] !== undefined && scores[ability] < 20);
+      if (open.length == 0 || Random.Float() < data.levels.featChance) {
+        improvements.push({ ...asiLevel, Choice: 'Feat', Increases: {} });
+        return;
+      }
+
+      const increases = {};
+      if (scores[open[0]] <= 18) increases[open[0]] = 2;
+      else {
+        increases[open[0]] = 1;
+        if (open.length > 1) increases[open[1]] = 1;
+      }
+      for (let ability in increases) scores[ability] += increases[ability];
+      improvements.push({ ...asiLevel, Choice: 'Ability Score Improvement', Increases: increases });
+    });
+
+    return improvements;
+  },
+
+  /**
+   * Check the 5e multiclassing ability score prerequisites of a class
+   * Always passes when there are no ability scores yet
+   * @param {string} className - Class name
+   * @param {Object} scores - Ability scores (may be empty)
+   * @param {Object} levelData - Levels data
+   * @returns {boolean} True if the prerequisites are met
+   */
+  MeetsPrerequisites: function (className, scores, levelData) {
+    const options = levelData.multiclassPrerequisites[className];
+    if (!options || !scores || Object.keys(scores).length == 0) return true;
+    return options.some((option) => {
+      for (let ability in option) if ((scores[ability] || 0) < option[ability]) return false;
+      return true;
+    });
+  },
+
+  /**
+   * Split a total level across the primary class and extra classes
+   * Extra classes must be in the selected books and meet the prerequisites,
+   * as must the primary class itself
+   * @param {Object} character - Character with Class and Abilities
+   * @param {number} level - Total character level
+   * @param {number} classCount - Wanted number of classes (1-3)
+   * @param {Object} context - Context with data and usedBooks
+   * @returns {Array} Classes [{Name, Level}], primary first
+   */
+  SplitClasses: function (character, level, classCount, context) {
+    const { data, usedBooks } = context;
+    const levelData = data.levels;
+    const primary = character.Class?.name;
+    const scores = character.Abilities?.Scores;
+    const classes = [{ Name: primary, Level: 1 }];
+
+    if (classCount > 1 && this.MeetsPrerequisites(primary, scores, levelData)) {
+      const candidates = Object.keys(data.classes).filter(
+        (className) =>
+          className != primary &&
+          Content.CheckBookSpecial(data.classes[className]._special, usedBooks) &&
+          this.MeetsPrerequisites(className, scores, levelData)
+      );
+      while (classes.length < Math.min(classCount, level) && candidates.length > 0) {
+        classes.push({ Name: candidates.splice(Random.Num(candidates.length), 1)[0], Level: 1 });
+      }
+    }
+
+    // Each remaining level goes to the primary class half the time, otherwise to any class
+    // (the primary included), so the primary class gets more than half of them
+    for (let remaining = level - classes.length; remaining > 0; remaining--) {
+      const target = Random.Num(2) == 0 ? classes[0] : Random.Array(classes);
+      target.Level++;
+    }
+
+    return classes;
+  },
+
+  /**
+   * Get the class string, e.g. 'Fighter 3 / Warlock 2'
+   * @param {Object} character - Character with Class and Level
+   * @returns {string} Class string
+   */
+  ClassString: function (character) {
+    if (!character.Level?.Classes) return character.Class?.name || '';
+    return character.Level.Classes.map((classLevel) => classLevel.Name + ' ' + classLevel.Level).join(' / ');
+  },
+
+  /**
+   * Get the label of an improvement, e.g. 'Level 4' or 'Fighter 4' when multiclassed
+   * @param {Object} improvement - Improvement {Level, Class}
+   * @returns {string} Label
+   */
+  ImprovementLabel: function (improvement) {
+    return (improvement.Class || 'Level') + ' ' + improvement.Level;
+  },
+
+  /**
+   * Format an improvement, e.g. 'Ability Score Improvement (+2 Dexterity)'
+   * @param {Object} improvement - Improvement {Level, Choice, Increases}
+   * @returns {string} Formatted improvement
+   */
+  FormatImprovement: function (improvement) {
+    const increases = Object.entries(improvement.Increases).map(
+      ([ability, increase]) => '+' + increase + ' ' + ability
+    );
+    return improvement.Choice + (increases.length > 0 ? ' (' + increases.join(', ') + ')' : '');
+  },
+
+  /**
+   * Generate level details for a character
+   * @param {Object} context - Context with data, character, level, hpMode, classCount
+   * @returns {Object} Level object
+   */
+  Get: function (context) {
+    const { data, character, hpMode = 'average', classCount = 1 } = context;
+    const levelData = data.levels;
+    const level = this.Clamp(context.level, levelData);
+    const defaultLevels = { hitDie: 8, subclassLevel: 1, asiLevels: [] };
+    const multiclassed = classCount > 1;
+
+    const classes = this.SplitClasses(character, level, classCount, context).map((classLevel, index) => {
+      const classLevels = levelData.classes[classLevel.Name] || defaultLevels;
+      const label = SubclassLabels[classLevel.Name] || null;
+      // The primary class keeps its generated subclass; extra classes roll their own
+      const classObj =
+        index == 0
+          ? this.FitSubclass(character.Class, classLevel.Level, context)
+          : this.FitSubclass({ name: classLevel.Name, content: [] }, classLevel.Level, context);
+      return {
+        Name: classLevel.Name,
+        Level: classLevel.Level,
+        HitDie: classLevels.hitDie,
+        SubclassLabel: label,
+        SubclassLevel: classLevels.subclassLevel,
+        Subclass: classObj?.content?.find((trait) => trait.name == label)?.content || null,
+      };
+    });
+
+    // Improvements come from each class's own levels
+    const asiLevels = [];
+    classes.forEach((classLevel) => {
+      (levelData.classes[classLevel.Name] || defaultLevels).asiLevels
+        .filter((asiLevel) => asiLevel <= classLevel.Level)
+        .forEach((asiLevel) => asiLevels.push(multiclassed ? { Class: classLevel.Name, Level: asiLevel } : { Level: asiLevel }));
+    });
+
+    // Constitution increases from improvements count for every level, as in the rules
+    const improvements = this.Improvements(character, asiLevels, context);
+    const finalScores = Abilities.Final(character.Abilities, improvements);
+    const conModifier =
+      finalScores.Constitution !== undefined ? Abilities.Modifier(finalScores.Constitution) : 0;
+    const hitDice = [];
+    classes.forEach((classLevel) => {
+      for (let index = 0; index < classLevel.Level; index++) hitDice.push(classLevel.HitDie);
+    });
+    const hitPoints = this.HitPoints(hitDice, conModifier, hpMode);
+
+    return {
+      Level: level,
+      Classes: classes,
+      HitDie: 'd' + classes[0].HitDie,
+      HitDice: classes.map((classLevel) => classLevel.Level + 'd' + classLevel.HitDie).join(' + '),
+      HitPoints: hitPoints.total,
+      HitPointMode: hpMode,
+      HitPointRolls: hitPoints.rolls,
+      ProficiencyBonus: levelData.proficiencyBonus[level - 1],
+      SubclassLabel: classes[0].SubclassLabel,
+      SubclassLevel: classes[0].SubclassLevel,
+      Subclass: classes[0].Subclass,
+      Improvements: improvements,
+    };
+  },
+};
+
+export default Levels;
@@ -5,8 +5,59 @@
  */
 
 import Random from '../utils/random';
+import Tables from '../utils/tables';
 import Content from './content';
 
+// Name tables Names.Get reads for each race, with the lists it reads from them
+// (null for a plain list of names)
+const GENDERED = ['Male', 'Female'];
+const HUMAN_TABLES = { Human: [], 'Human (Real)': [] };
+const RACE_NAME_TABLES = {
+  Aarakocra: { Aarakocra: null },
+  Aasimar: HUMAN_TABLES,
+  Bugbear: { Goblinoid: GENDERED },
+  Centaur: { Centaur: GENDERED },
+  Changeling: { Changeling: null },
+  Dhampir: HUMAN_TABLES,
+  Dragonborn: { Dragonborn: GENDERED.concat('Clan') },
+  Dwarf: { Dwarf: GENDERED.concat('Clan', 'Clan (Duergar)') },
+  Elf: { Elf: GENDERED.concat('Child', 'Family'), Drow: GENDERED.concat('Family'), 'Shadar-kai': GENDERED },
+  Firbolg: { Elf: GENDERED },
+  Genasi: HUMAN_TABLES,
+  Gith: { Githyanki: GENDERED, Githzerai: GENDERED },
+  Gnome: { Gnome: GENDERED.concat('Nickname', 'Clan'), 'Deep Gnome': GENDERED.concat('Clan') },
+  Goblin: { Goblinoid: GENDERED },
+  Goliath: { Goliath: ['Birth', 'Nickname', 'Clan'] },
+  Grung: { Grung: null },
+  Halfling: { Halfling: GENDERED.concat('Family') },
+  'Half-Elf': { Elf: GENDERED.concat('Family'), Drow: GENDERED.concat('Family'), ...HUMAN_TABLES },
+  'Half-Orc': { Orc: GENDERED, ...HUMAN_TABLES },
+  Hexblood: HUMAN_TABLES,
+  Hobgoblin: { Goblinoid: GENDERED },
+  Human: HUMAN_TABLES,
+  Kalashtar: { 'Kalashtar/Quori': null },
+  Kenku: { Kenku: null },
+  Kobold: { Kobold: null },
+  Leonin: { Leonin: GENDERED },
+  Lizardfolk: { Lizardfolk: null },
+  Locathah: { Locathah: null },
+  Loxodon: { Loxodon: GENDERED },
+  Minotaur: { Minotaur: GENDERED },
+  Orc: { Orc: GENDERED },
+  Reborn: HUMAN_TABLES,
+  Satyr: { Satyr: GENDERED.concat('Nicknames') },
+  Shifter: { Shifter: null },
+  'Simic Hybrid': { Elf: GENDERED, Vedalken: GENDERED, ...HUMAN_TABLES },
+  Tabaxi: { Tabaxi: ['Name', 'Clan'] },
+  Tiefling: { Infernal: GENDERED, Virtue: null, ...HUMAN_TABLES },
+  Tortle: { Tortle: null },
+  Triton: { Triton: GENDERED.concat('Surname') },
+  Vedalken: { Vedalken: GENDERED },
+  Verdan: { Verdan: null },
+  Warforged: { Warforged: null },
+  'Yuan-Ti Pureblood': { 'Yuan-Ti': null },
+};
+
 const Names = {
   /**
    * Get a name based on race and gender
@@ -117,28 +168,28 @@ const Names = {
         return this.FirstnameLastname(names.Halfling, 'Family', gender);
 
       case 'Half-Elf':
-        let hElfRand = Random.Num(6),
+        let hElfName = Tables.Roll(data.other.halfElfNames),
           elfSubrace = this.GetSubrace(character),
           elfNameArray = elfSubrace == 'Drow' ? names.Drow : names.Elf;
-        if (hElfRand < 2)
+        if (hElfName == 'Human first name, elf family name')
           return (
             this.HumanFirst(this.GetHumanEthnicity(context), gender, context) +
             ' ' +
             Random.Array(elfNameArray.Family)
           );
-        if (hElfRand < 4)
+        if (hElfName == 'Elf first name, human last name')
           return (
             this.GetGendered(elfNameArray, gender) +
             this.HumanLast(this.GetHumanEthnicity(context), context)
           );
-        if (hElfRand < 5) return this.GetHuman(this.GetHumanEthnicity(context), gender, context);
+        if (hElfName == 'Human name') return this.GetHuman(this.GetHumanEthnicity(context), gender, context);
         return this.FirstnameLastname(elfNameArray, 'Family', gender);
 
       case 'Half-Orc':
-        let hOrcRand = Random.Num(4);
-        return hOrcRand < 1
+        let hOrcName = Tables.Roll(data.other.halfOrcNames);
+        return hOrcName == 'Orc name'
           ? this.GetGendered(names.Orc, gender)
-          : hOrcRand < 2
+          : hOrcName == 'Orc first name, human last name'
           ? this.GetGendered(names.Orc, gender) + this.HumanLast(this.GetHumanEthnicity(context), context)
           : this.GetHuman(this.GetHumanEthnicity(context), gender, context);
 
@@ -172,22 +223,33 @@ const Names = {
         return this.FirstnameLastname(names.Triton, 'Surname', gender);
 
       case 'Tiefling':
-        if (Random.Num(5) < 2) return this.GetHuman(this.GetHumanEthnicity(context), gender, context);
+        let tieflingName = Tables.Roll(data.other.tieflingNames);
+        if (tieflingName == 'Human name') return this.GetHuman(this.GetHumanEthnicity(context), gender, context);
         let lastName = this.HumanLast(this.GetHumanEthnicity(context), context);
-        const names_ref = data.names;
-        return gender == 'Male' || gender == 'Female'
-          ? Random.Num(3) == 0
-            ? this.GetGendered(names_ref.Infernal, gender) + lastName
-            : Random.Array(names_ref.Virtue) + lastName
-          : Random.Num(3) > 0
-          ? Random.Array(names_ref.Virtue) + lastName
-          : this.GetGendered(names_ref.Infernal, gender) + lastName;
+        return tieflingName == 'Infernal first name, human last name'
+          ? this.GetGendered(names.Infernal, gender) + lastName
+          : Random.Array(names.Virtue) + lastName;
 
       case 'Yuan-Ti Pureblood':
         return Random.Array(names['Yuan-Ti']);
+
+      default: // Homebrew races bring their own name list (plain or by gender)
+        if (Array.isArray(names[raceName])) return Random.Array(names[raceName]);
+        if (names[raceName]) return this.GetGendered(names[raceName], gender);
+        return this.GetHuman(this.GetHumanEthnicity(context), gender, context);
     }
   },
 
+  /**
+   * Get the name tables Names.Get reads for a race (used to validate the data)
+   * @param {string} raceName - Race name
+   * @returns {Object|null} Table names mapped to the lists read from them (null for a
+   *   plain list), or null for races without their own case (e.g. homebrew races)
+   */
+  GetNameTables: function (raceName) {
+    return RACE_NAME_TABLES.hasOwnProperty(raceName) ? RACE_NAME_TABLES[raceName] : null;
+  },
+
   /**
    * Get shortened version of character name
    * @param {Object} character - Character object
@@ -5,14 +5,28 @@
  */
 
 import Random from '../utils/random';
+import Tables from '../utils/tables';
+
+/**
+ * Remove the Adventurer entry from an occupations table
+ * @param {Array|Object} occupations - List or weighted table of occupations
+ * @returns {Array|Object} Table without Adventurer
+ */
+function withoutAdventurer(occupations) {
+  if (Array.isArray(occupations)) return occupations.filter((occupation) => occupation != 'Adventurer');
+  return { ...occupations, entries: occupations.entries.filter((entry) => entry.value != 'Adventurer') };
+}
 
 const NPC = {
   /**
    * Get random NPC traits as given in DMG
    * @param {Object} data - Data with npcs object
+   * @param {string} seed - Optional seed for reproducible traits
    * @returns {Object} NPC traits object
    */
-  GetTraits: function (data) {
+  GetTraits: function (data, seed) {
+    if (seed !== undefined) Random.Seed(seed, 'traits');
+
     const npcs = data.npcs;
     const newNPCTraits = {
       Appearance: Random.Array(npcs.appearances),
@@ -58,30 +72,17 @@ const NPC = {
 
   /**
    * Get random occupation with weighted probabilities
-   * @param {boolean} allowAdventurer - Allow 1% chance of Adventurer
+   * @param {Object} data - Data with npcs.occupations table
+   * @param {boolean} allowAdventurer - Allow the Adventurer entry (1% in the default table)
    * @param {Function} classWeightedFn - Function to get weighted class (for Adventurer)
+   * @param {Object|null} region - Region whose occupations table replaces the default
    * @returns {string} Occupation name
    */
-  GetOccupation: function (allowAdventurer = false, classWeightedFn = null) {
-    const rand = Random.Num(allowAdventurer ? 100 : 99);
-
-    if (rand < 5) return 'Academic';
-    if (rand < 10) return 'Aristocrat';
-    if (rand < 25) return 'Artisan or guild member';
-    if (rand < 30) return 'Criminal';
-    if (rand < 35) return 'Entertainer';
-    if (rand < 37) return 'Exile, hermit, or refugee';
-    if (rand < 42) return 'Explorer or wanderer';
-    if (rand < 54) return 'Farmer or herder';
-    if (rand < 59) return 'Hunter or trapper';
-    if (rand < 74) return 'Laborer';
-    if (rand < 79) return 'Merchant';
-    if (rand < 84) return 'Politician or bureaucrat';
-    if (rand < 89) return 'Priest';
-    if (rand < 94) return 'Sailor';
-    if (rand < 99) return 'Soldier';
+  GetOccupation: function (data, allowAdventurer = false, classWeightedFn = null, region = null) {
+    const occupations = region?.occupations || data.npcs.occupations;
+    const occupation = Tables.Roll(allowAdventurer ? occupations : withoutAdventurer(occupations));
+    if (occupation != 'Adventurer') return occupation;
 
-    // 1% chance: Adventurer (only if allowed)
     const adventurerClass = classWeightedFn ? classWeightedFn() : 'Adventurer';
     return 'Adventurer (' + adventurerClass + ')';
   },
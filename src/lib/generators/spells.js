@@ -0,0 +1,194 @@
+/**
+ * Spell selection module
+ * Picks cantrips and known/prepared spells for spellcasting classes and subclasses
+ */
+
+import Random from '../utils/random';
+import Content from './content';
+import Abilities from './abilities';
+import { SubclassLabels } from './levels';
+
+/**
+ * Pick unique random names from a pool
+ * @param {Array} pool - Names to pick from
+ * @param {number} count - Number of names to pick
+ * @param {Array} exclude - Names that can't be picked
+ * @returns {Array} Picked names
+ */
+function pickNames(pool, count, exclude = []) {
+  const remaining = pool.filter((name) => !exclude.includes(name));
+  const picked = [];
+  while (picked.length < count && remaining.length > 0) {
+    picked.push(remaining.splice(Random.Num(remaining.length), 1)[0]);
+  }
+  return picked;
+}
+
+const Spells = {
+  /**
+   * Get the names of spells on a class list, filtered by level and book selection
+   * @param {string} listName - Class whose spell list is used
+   * @param {Function} levelCheck - Returns true for spell levels to include
+   * @param {Object} spellData - Spells data
+   * @param {Array} usedBooks - Selected books
+   * @returns {Array} Spell names
+   */
+  Available: function (listName, levelCheck, spellData, usedBooks) {
+    return spellData.spells
+      .filter(
+        (spell) =>
+          spell.classes.includes(listName) &&
+          levelCheck(spell.level) &&
+          Content.CheckBookString(spell.book, usedBooks)
+      )
+      .map((spell) => spell.name);
+  },
+
+  /**
+   * Look up the spell level of a spell
+   * @param {string} name - Spell name
+   * @param {Object} spellData - Spells data
+   * @returns {number} Spell level (0 for cantrips)
+   */
+  Level: function (name, spellData) {
+    return spellData.spells.find((spell) => spell.name == name)?.level || 0;
+  },
+
+  /**
+   * Group spell names by spell level, e.g. {1: ['Bless'], 2: ['Aid']}
+   * @param {Array} names - Spell names
+   * @param {Object} spellData - Spells data
+   * @returns {Object} Spell names per level
+   */
+  GroupByLevel: function (names, spellData) {
+    const grouped = {};
+    names.forEach((name) => {
+      const level = this.Level(name, spellData);
+      (grouped[level] = grouped[level] || []).push(name);
+    });
+    for (let level in grouped) grouped[level].sort();
+    return grouped;
+  },
+
+  /**
+   * Pick spells for one class
+   * Spellcasting comes from the class itself or, for third casters like the
+   * Eldritch Knight, from the subclass
+   * @param {string} className - Class name
+   * @param {string} subclass - Subclass name (may be null)
+   * @param {number} classLevel - Level in this class
+   * @param {Object} scores - Final ability scores
+   * @param {number} proficiencyBonus - Proficiency bonus
+   * @param {Object} context - Context with data and usedBooks
+   * @returns {Object|null} Spellcasting object, or null if the class casts no spells yet
+   */
+  ForClass: function (className, subclass, classLevel, scores, proficiencyBonus, context) {
+    const { data, usedBooks } = context;
+    const spellData = data.spells;
+    const subclassData = spellData.subclasses[subclass] || {};
+    const casterData = spellData.classes[className] || (subclassData.list ? subclassData : null);
+    if (!casterData) return null;
+
+    const listName = casterData.list || className;
+    const maxSpellLevel = casterData.maxSpellLevel[classLevel - 1];
+    const cantripCount = casterData.cantrips[classLevel - 1];
+    if (maxSpellLevel == 0 && cantripCount == 0) return null;
+
+    const modifier = Abilities.Modifier(scores[casterData.ability] || 10);
+
+    // Subclass spells that are always prepared and don't count against the limit
+    const alwaysPrepared = [];
+    for (let fromLevel in subclassData.always || {}) {
+      if (classLevel >= parseInt(fromLevel)) alwaysPrepared.push(...subclassData.always[fromLevel]);
+    }
+
+    const bonusCantrips = subclassData.bonusCantrips || [];
+    const cantrips = bonusCantrips.concat(
+      pickNames(this.Available(listName, (level) => level == 0, spellData, usedBooks), cantripCount, bonusCantrips)
+    );
+
+    // Warlock patrons add their expanded spells to the list to choose from
+    const pool = this.Available(listName, (level) => level > 0 && level <= maxSpellLevel, spellData, usedBooks).concat(
+      (subclassData.expanded || []).filter((name) => {
+        const level = this.Level(name, spellData);
+        return level > 0 && level <= maxSpellLevel;
+      })
+    );
+    const uniquePool = pool.filter((name, index) => pool.indexOf(name) == index);
+
+    let spellCount, spellbook;
+    if (casterData.known) spellCount = casterData.known[classLevel - 1];
+    else spellCount = Math.max(Math.floor(classLevel / casterData.prepared.levelDivisor) + modifier, 1);
+    if (maxSpellLevel == 0) spellCount = 0;
+
+    // Wizards prepare from the spells copied into their spellbook
+    let spells;
+    if (casterData.spellbook) {
+      const bookSize = casterData.spellbook.base + casterData.spellbook.perLevel * (classLevel - 1);
+      spellbook = pickNames(uniquePool, bookSize, alwaysPrepared);
+      spells = pickNames(spellbook, spellCount);
+    } else spells = pickNames(uniquePool, spellCount, alwaysPrepared);
+
+    // Mystic arcanum: one spell of each arcanum level reached
+    for (let fromLevel in casterData.arcanum || {}) {
+      if (classLevel < parseInt(fromLevel)) continue;
+      const arcanumLevel = casterData.arcanum[fromLevel];
+      spells.push(...pickNames(this.Available(listName, (level) => level == arcanumLevel, spellData, usedBooks), 1));
+    }
+
+    return {
+      Class: className,
+      Ability: casterData.ability,
+      SaveDC: 8 + proficiencyBonus + modifier,
+      AttackBonus: proficiencyBonus + modifier,
+      Type: casterData.known ? 'Known' : 'Prepared',
+      MaxSpellLevel: maxSpellLevel,
+      Cantrips: cantrips.sort(),
+      Spells: this.GroupByLevel(alwaysPrepared.concat(spells), spellData),
+      AlwaysPrepared: alwaysPrepared,
+      Spellbook: spellbook ? this.GroupByLevel(spellbook, spellData) : null,
+    };
+  },
+
+  /**
+   * Generate spells for a character
+   * Every class (of a multiclassed character) casts from its own list at its own level
+   * @param {Object} context - Context with data, character, usedBooks
+   * @returns {Array|null} Spellcasting object per casting class, or null for non-casters
+   */
+  Get: function (context) {
+    const { character } = context;
+    const className = character.Class?.name;
+    const classes = character.Level?.Classes || [
+      {
+        Name: className,
+        Level: 1,
+        Subclass:
+          character.Class?.content?.find((trait) => trait.name == SubclassLabels[className])?.content || null,
+      },
+    ];
+    const proficiencyBonus = character.Level?.ProficiencyBonus || 2;
+    const scores = Abilities.Final(character.Abilities, character.Level?.Improvements);
+
+    const casters = classes
+      .map((classLevel) =>
+        this.ForClass(classLevel.Name, classLevel.Subclass, classLevel.Level, scores, proficiencyBonus, context)
+      )
+      .filter((caster) => caster != null);
+    return casters.length > 0 ? casters : null;
+  },
+
+  /**
+   * Get a label for a spell level, e.g. 'Cantrips', '1st Level'
+   * @param {number|string} level - Spell level
+   * @returns {string} Label
+   */
+  LevelLabel: function (level) {
+    const num = parseInt(level);
+    if (num == 0) return 'Cantrips';
+    const suffix = num == 1 ? 'st' : num == 2 ? 'nd' : num == 3 ? 'rd' : 'th';
+    return num + suffix + ' Level';
+  },
+};
+
+export default Spells;
@@ -1,33 +1,44 @@
 /**
  * Hook to load all D&D data JSON files
- * Loads the 9 core data files needed for character generation
+ * Loads the 14 core data files needed for character generation
  */
 
 import { useState, useEffect } from 'react';
+import { validateCharacterData, printDataReport } from '../utils/dataValidator';
 
 const JSON_FILES = [
+  'abilities',
   'backgrounds',
   'books',
   'cardsources',
   'classes',
+  'equipment',
+  'levels',
   'life',
   'names',
   'npcs',
   'other',
   'races',
+  'regions',
+  'spells',
 ];
 
 export function useCharacterData() {
   const [data, setData] = useState({
+    abilities: null,
     backgrounds: null,
     books: null,
     cardsources: null,
     classes: null,
+    equipment: null,
+    levels: null,
     life: null,
     names: null,
     npcs: null,
     other: null,
     races: null,
+    regions: null,
+    spells: null,
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -55,6 +66,9 @@ export function useCharacterData() {
           loadedData[filename] = results[index];
         });
 
+        // Report data problems while developing
+        if (process.env.NODE_ENV !== 'production') printDataReport('Character data', validateCharacterData(loadedData));
+
         setData(loadedData);
         setError(null);
       } catch (err) {
@@ -1,9 +1,11 @@
 /**
  * Hook to load all Dark Dawn data JSON files
- * Loads the 5 core data files needed for Dark Dawn character sheet building
+ * Loads the 5 core data files needed for Dark Dawn character sheet building,
+ * plus the compatibility rules between them and the sheet's stats, levels and kit
  */
 
 import { useState, useEffect } from 'react';
+import { validateDarkDawnData, printDataReport } from '../utils/dataValidator';
 
 const JSON_FILES = [
   'races',
@@ -11,6 +13,8 @@ const JSON_FILES = [
   'deities',
   'classes',
   'special-abilities',
+  'rules',
+  'sheet',
 ];
 
 export function useDarkDawnData() {
@@ -20,6 +24,8 @@ export function useDarkDawnData() {
     deities: null,
     classes: null,
     specialAbilities: null,
+    rules: null,
+    sheet: null,
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -48,8 +54,13 @@ export function useDarkDawnData() {
           deities: results[2],
           classes: results[3],
           specialAbilities: results[4],
+          rules: results[5],
+          sheet: results[6],
         };
 
+        // Report data problems while developing
+        if (process.env.NODE_ENV !== 'production') printDataReport('Dark Dawn data', validateDarkDawnData(loadedData));
+
         setData(loadedData);
         setError(null);
       } catch (err) {
@@ -0,0 +1,66 @@
+/**
+ * Hook for state with an undo/redo history
+ * Every change is kept (with a label naming what was regenerated) so any
+ * earlier value of the session can be restored
+ */
+
+import { useState } from 'react';
+
+const MAX_ENTRIES = 100;
+
+export function useHistory(initialValue) {
+  const [history, setHistory] = useState({
+    entries: [{ value: initialValue, label: 'Start', time: null }],
+    index: 0,
+  });
+
+  /**
+   * Record a new value, dropping anything that was undone
+   * @param {*} valueOrUpdater - New value, or a function of the current value
+   * @param {string} label - What changed, e.g. 'Race'
+   */
+  const set = (valueOrUpdater, label = 'Change') => {
+    setHistory((prev) => {
+      const current = prev.entries[prev.index].value;
+      const value = typeof valueOrUpdater === 'function' ? valueOrUpdater(current) : valueOrUpdater;
+      const entries = prev.entries
+        .slice(0, prev.index + 1)
+        .concat({ value, label, time: Date.now() })
+        .slice(-MAX_ENTRIES);
+      return { entries, index: entries.length - 1 };
+    });
+  };
+
+  /**
+   * Move through the history from its latest state, so moves made before a re-render add up
+   * @param {Function} getIndex - Index to move to, from the latest index (clamped to the history)
+   */
+  const move = (getIndex) => {
+    setHistory((prev) => ({
+      ...prev,
+      index: Math.min(Math.max(getIndex(prev.index), 0), prev.entries.length - 1),
+    }));
+  };
+
+  /**
+   * Move to an entry of the history
+   * @param {number} index - Entry index (clamped to the history)
+   * @returns {*} Value of that entry (moving never changes the entries)
+   */
+  const jumpTo = (index) => {
+    move(() => index);
+    return history.entries[Math.min(Math.max(index, 0), history.entries.length - 1)].value;
+  };
+
+  return {
+    value: history.entries[history.index].value,
+    entries: history.entries,
+    index: history.index,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+    set,
+    jumpTo,
+    undo: () => move((index) => index - 1),
+    redo: () => move((index) => index + 1),
+  };
+}
@@ -4,27 +4,54 @@
  * Ported from original char-gen-script.js
  */
 
-/**
- * Get list of selected books from checkboxes
- * @param {Object} booksData - Books data with availableBooks array
- * @returns {Array} Array of selected book codes
- */
-export function getUsedBooks(booksData) {
-  const usedBooks = ['Real', 'PHB']; // Always include Real and PHB
+export const BookSelection = {
+  /**
+   * Create a book selection
+   * @param {Object} booksData - Books data with availableBooks, bookNames and defaultBooks
+   * @param {Array} selected - Selected book codes (defaults to booksData.defaultBooks)
+   * @returns {Object} Book selection {available, names, selected}
+   */
+  Create: function (booksData, selected = booksData.defaultBooks || []) {
+    const available = booksData.availableBooks || [];
+    return {
+      available: available,
+      names: booksData.bookNames || {},
+      selected: available.filter((book) => selected.includes(book)),
+    };
+  },
 
-  if (!booksData || !booksData.availableBooks) return usedBooks;
+  /**
+   * Check whether a book is selected (PHB always is)
+   * @param {Object} selection - Book selection
+   * @param {string} book - Book code
+   * @returns {boolean} True if selected
+   */
+  IsSelected: function (selection, book) {
+    return book == 'PHB' || selection.selected.includes(book);
+  },
 
-  // Check each book checkbox
-  for (let bookNum = 0; bookNum < booksData.availableBooks.length; bookNum++) {
-    let book = booksData.availableBooks[bookNum];
-    const checkbox = document.getElementById(book + 'box');
-    if (checkbox && checkbox.checked) {
-      usedBooks.push(book);
-    }
-  }
+  /**
+   * Select or deselect a book
+   * @param {Object} selection - Book selection
+   * @param {string} book - Book code
+   * @param {boolean} checked - Whether the book should be selected
+   * @returns {Object} New book selection
+   */
+  Toggle: function (selection, book, checked) {
+    const selected = selection.selected.filter((selectedBook) => selectedBook != book);
+    if (checked) selected.push(book);
+    return { ...selection, selected: selection.available.filter((availableBook) => selected.includes(availableBook)) };
+  },
 
-  return usedBooks;
-}
+  /**
+   * Get the books generators should use
+   * @param {Object} selection - Book selection
+   * @returns {Array} Book codes, always including Real and PHB
+   */
+  UsedBooks: function (selection) {
+    return ['Real', 'PHB'].concat(selection.selected);
+  },
+};
 
 /**
  * Check if a special string includes any of the used books
@@ -8,29 +8,12 @@ const paddingx2 = 40;
 const lineHeight = 25;
 const textWidthMax = 612 - paddingx2;
 const maxLines = 11;
-const lineCheck = maxLines + 1;
 const labelFont = 'bold 16px Tahoma';
 const descriptionFont = '16px Tahoma';
 
-const subclassesCard = {
-  Barbarian: 'Primal Path',
-  Bard: 'Bard College',
-  Cleric: 'Divine Domain',
-  Druid: 'Druid Circle',
-  Fighter: 'Martial Archetype',
-  Monk: 'Monastic Tradition',
-  Paladin: 'Sacred Oath',
-  Ranger: 'Ranger Archetype',
-  Rogue: 'Roguish Archetype',
-  Sorcerer: 'Sorcerous Origin',
-  Warlock: 'Otherworldly Patron',
-  Wizard: 'Arcane Tradition',
-  Artificer: 'Artificer Specialty',
-  Mystic: 'Mystic Order',
-  'Blood Hunter': 'Blood Hunter Order',
-};
-
 import Random from './random';
+import Abilities from '../generators/abilities';
+import Levels, { SubclassLabels } from '../generators/levels';
 
 const CardRenderer = {
   /**
@@ -257,12 +240,20 @@ const CardRenderer = {
     ctx.fillText(stringBuffer2.join(''), canvas.width / 2, yPos);
     yPos += lineHeight;
 
+    // Ability scores line (takes one line from the text below it)
+    let availableLines = maxLines;
+    if (character.Abilities?.Scores) {
+      ctx.fillText(this.getAbilityLine(character), canvas.width / 2, yPos);
+      yPos += lineHeight;
+      availableLines--;
+    }
+
     // The rest of the text
     ctx.textAlign = 'left';
     if (cardType === 'personality') {
-      this.setPersonalityCard(ctx, yPos, character, characterType);
+      this.setPersonalityCard(ctx, yPos, character, characterType, availableLines);
     } else if (cardType === 'characteristics') {
-      this.setCharacteristicsCard(ctx, yPos, character);
+      this.setCharacteristicsCard(ctx, yPos, character, availableLines);
     }
     // Empty card type shows no additional text
   },
@@ -270,7 +261,7 @@ const CardRenderer = {
   /**
    * Draw personality card
    */
-  setPersonalityCard: function (ctx, yPos, character, characterType) {
+  setPersonalityCard: function (ctx, yPos, character, characterType, availableLines = maxLines) {
     const traitArr = this.getTraitsArray(ctx, this.getPersonalityCardData(character, characterType)).slice(0);
 
     if (characterType === 'either') {
@@ -290,7 +281,7 @@ const CardRenderer = {
       const index = Random.Num(traitArr.length);
       if (usedTraitIndices.indexOf(index) < 0) {
         const traitLength = traitArr[index].description.length;
-        if (usedLines + traitLength > maxLines) {
+        if (usedLines + traitLength > availableLines) {
           break;
         } else {
           usedTraitIndices.push(index);
@@ -305,7 +296,7 @@ const CardRenderer = {
     }
 
     // Bottom-justify it
-    yPos += lineHeight * (lineCheck - usedLines);
+    yPos += lineHeight * (availableLines + 1 - usedLines);
 
     // Print
     this.printDescription(ctx, usedTraits, yPos);
@@ -383,9 +374,20 @@ const CardRenderer = {
   /**
    * Draw characteristics card
    */
-  setCharacteristicsCard: function (ctx, yPos, character) {
-    const data = this.getCharacteristicsCardData(character);
-    this.printDescription(ctx, this.getTraitsArray(ctx, data), yPos + lineHeight);
+  setCharacteristicsCard: function (ctx, yPos, character, availableLines = maxLines) {
+    const traitArr = this.getTraitsArray(ctx, this.getCharacteristicsCardData(character));
+
+    // Keep the traits in order while they fit
+    let usedLines = 0;
+    const usedTraits = [];
+    for (let index = 0; index < traitArr.length; index++) {
+      const traitLength = traitArr[index].description.length;
+      if (usedLines + traitLength > availableLines) break;
+      usedTraits.push(traitArr[index]);
+      usedLines += traitLength;
+    }
+
+    this.printDescription(ctx, usedTraits, yPos + lineHeight);
   },
 
   /**
@@ -574,11 +576,13 @@ const CardRenderer = {
   },
 
   getClassName: function (character) {
+    if (character.Level?.Classes?.length > 1) return Levels.ClassString(character);
     const subclass = this.findTraitByName(
       character.Class?.content,
-      subclassesCard[character.Class?.name]
+      SubclassLabels[character.Class?.name]
     );
-    return (character.Class?.name || 'Unknown') + (subclass ? ' (' + subclass + ')' : '');
+    const level = character.Level ? ' ' + character.Level.Level : '';
+    return (character.Class?.name || 'Unknown') + level + (subclass ? ' (' + subclass + ')' : '');
   },
 
   getBackgroundName: function (character) {
@@ -589,6 +593,13 @@ const CardRenderer = {
     return character.Background?.name || 'Unknown';
   },
 
+  getAbilityLine: function (character) {
+    const scores = Abilities.Final(character.Abilities, character.Level?.Improvements);
+    return Object.keys(scores)
+      .map((ability) => ability.slice(0, 3).toUpperCase() + ' ' + scores[ability])
+      .join('  ');
+  },
+
   getVariantTraits: function (character, usedBooks) {
     const variantRaces = ['Dragonborn', 'Half-Elf', 'Human', 'Tiefling'];
     if (!variantRaces.includes(character.Race?.name)) {
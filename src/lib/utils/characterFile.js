@@ -0,0 +1,195 @@
+/**
+ * Character file utilities
+ * Versioned JSON documents for moving D&D and Dark Dawn characters between
+ * machines and tools, with validation and migration of older versions
+ *
+ * Document format (version 1):
+ *   {
+ *     format: 'dark-dawn-dnd-character',
+ *     version: 1,
+ *     system: 'dnd' | 'darkdawn',
+ *     exported: ISO date string,
+ *     seed: string,
+ *     locks: { race: true, ... },
+ *     books: ['PHB', ...] (D&D only, null for Dark Dawn),
+ *     character: Generate.All or DarkDawnGenerate.All output
+ *   }
+ */
+
+export const CHARACTER_FILE_FORMAT = 'dark-dawn-dnd-character';
+export const CHARACTER_FILE_VERSION = 1;
+
+const SYSTEMS = ['dnd', 'darkdawn'];
+
+// Named fields that must be objects with a name when present
+const NAMED_FIELDS = {
+  dnd: ['Race', 'Class', 'Background'],
+  darkdawn: ['Race', 'Class', 'Faction', 'FactionAbility', 'Deity', 'SpecialAbility'],
+};
+
+// Fields an unversioned file must have (as objects with a name) to be taken for a character
+const IDENTITY_FIELDS = {
+  dnd: ['Race', 'Class'],
+  darkdawn: ['Faction', 'Deity'],
+};
+
+/**
+ * Upgrade a document from one version to the next, keyed by the version upgraded from
+ * Version 0 is any unversioned file: a bare character or a roster entry
+ */
+const MIGRATIONS = {
+  0: (doc) => {
+    const character = doc.character && typeof doc.character === 'object' ? doc.character : doc;
+    const isDarkDawn = ['Faction', 'Deity', 'SpecialAbility'].some((field) => field in character);
+    return {
+      format: CHARACTER_FILE_FORMAT,
+      version: 1,
+      system: SYSTEMS.includes(doc.system) ? doc.system : isDarkDawn ? 'darkdawn' : 'dnd',
+      exported: doc.created || null,
+      seed: character.Seed || '',
+      locks: {},
+      books: null,
+      character: character,
+    };
+  },
+};
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that an unversioned file holds a character rather than some other JSON
+ * @param {Object} doc - Document migrated from version 0
+ * @returns {Array} Error messages (empty when it looks like a character)
+ */
+function checkIdentity(doc) {
+  const missing = (IDENTITY_FIELDS[doc.system] || []).filter(
+    (field) => !(isObject(doc.character[field]) && typeof doc.character[field].name === 'string')
+  );
+  if (missing.length == 0) return [];
+  const systemName = doc.system == 'darkdawn' ? 'Dark Dawn' : 'D&D';
+  return [`The file does not look like a ${systemName} character: it has no ${missing.join(' or ')} with a name`];
+}
+
+/**
+ * Collect readable problems with a (migrated) document
+ * @param {Object} doc - Character document
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validate(doc) {
+  const errors = [];
+  if (!SYSTEMS.includes(doc.system)) {
+    errors.push(`"system" must be "dnd" or "darkdawn", not ${JSON.stringify(doc.system)}`);
+  }
+  if (typeof doc.seed !== 'string') errors.push('"seed" must be a string');
+
+  if (!isObject(doc.locks)) errors.push('"locks" must be an object');
+  else {
+    for (let lock in doc.locks) {
+      if (typeof doc.locks[lock] !== 'boolean') errors.push(`Lock "${lock}" must be true or false`);
+    }
+  }
+
+  if (doc.books !== null && (!Array.isArray(doc.books) || doc.books.some((book) => typeof book !== 'string'))) {
+    errors.push('"books" must be a list of book codes');
+  }
+
+  const character = doc.character;
+  if (!isObject(character)) {
+    errors.push('"character" must be an object');
+    return errors;
+  }
+  if (character.Name !== undefined && typeof character.Name !== 'string') {
+    errors.push('The character\'s Name must be a string');
+  }
+  (NAMED_FIELDS[doc.system] || []).forEach((field) => {
+    if (character[field] == null) return;
+    if (!isObject(character[field]) || typeof character[field].name !== 'string') {
+      errors.push(`The character's ${field} must be an object with a name`);
+    }
+  });
+  if (doc.system == 'dnd') {
+    if (character.Level !== undefined && !(isObject(character.Level) && Number.isInteger(character.Level.Level))) {
+      errors.push('The character\'s Level must have a whole-number Level');
+    }
+    if (character.Abilities !== undefined && !isObject(character.Abilities?.Scores)) {
+      errors.push('The character\'s Abilities must have Scores');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Create a character document
+ * @param {Object} options - {system, character, locks, books}
+ * @returns {Object} Character document
+ */
+export function createCharacterDocument({ system, character, locks, books }) {
+  return {
+    format: CHARACTER_FILE_FORMAT,
+    version: CHARACTER_FILE_VERSION,
+    system: system,
+    exported: new Date().toISOString(),
+    seed: character.Seed || '',
+    locks: { ...locks },
+    books: system == 'dnd' ? books.slice() : null,
+    character: character,
+  };
+}
+
+/**
+ * Parse, migrate and validate a character document
+ * @param {string} text - File contents
+ * @returns {Object} Character document in the current version
+ * @throws {Error} With a readable message when the file can't be used
+ */
+export function parseCharacterDocument(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON: ' + err.message);
+  }
+  if (!isObject(doc)) throw new Error('The file does not contain a character');
+
+  // Files without a format marker are treated as unversioned characters
+  let version = 0;
+  const unversioned = doc.format === undefined;
+  if (doc.format !== undefined) {
+    if (doc.format !== CHARACTER_FILE_FORMAT) throw new Error(`Unknown file format "${doc.format}"`);
+    version = doc.version;
+    if (!Number.isInteger(version) || version < 1) throw new Error('The file has no valid version number');
+    if (version > CHARACTER_FILE_VERSION) {
+      throw new Error(
+        `The file is version ${version}, but this generator only reads up to version ${CHARACTER_FILE_VERSION}`
+      );
+    }
+  }
+  for (; version < CHARACTER_FILE_VERSION; version++) doc = MIGRATIONS[version](doc);
+
+  const errors = validate(doc);
+  if (unversioned && errors.length == 0) errors.push(...checkIdentity(doc));
+  if (errors.length > 0) throw new Error('The character file is invalid:\n- ' + errors.join('\n- '));
+  return doc;
+}
+
+/**
+ * Download a character document as a .json file
+ * @param {Object} doc - Character document
+ */
+export function downloadCharacterDocument(doc) {
+  const fileName = (doc.character.Name || 'character').replace(/[^\w-]+/g, '-').toLowerCase() + '.json';
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
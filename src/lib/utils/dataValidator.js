@@ -0,0 +1,518 @@
+/**
+ * Data validation utilities
+ * Checks the generator data files against schemas and against each other:
+ * unknown _special tags, book codes missing from books.json, name tables
+ * missing for races handled in Names.Get, keys that don't match names, and
+ * Dark Dawn rules naming unknown entries.
+ * Problems are collected as issues and printed as a report in development.
+ */
+
+import Content from '../generators/content';
+import Names from '../generators/names';
+import Tables from './tables';
+import { validateRegion } from './regions';
+
+/*
+ * Schemas: 'string', 'number', 'array' or 'object' check the type, [schema] checks
+ * every item of a list, and { key: schema } checks an object's keys. Keys ending
+ * in '?' are optional and '*' checks every key not listed.
+ */
+const CHARACTERISTICS_SCHEMA = {
+  minage: 'number',
+  maxage: 'number',
+  baseheight: 'number',
+  heightmod: 'string',
+  baseweight: 'number',
+  weightmod: 'string',
+  '_other?': 'object',
+};
+
+const CHARACTER_SCHEMAS = {
+  abilities: { abilities: 'array', methods: 'object', classPriorities: 'object', racialBonuses: 'object' },
+  backgrounds: { '*': { _special: 'string' } },
+  books: {
+    availableBooks: ['string'],
+    bookNames: { '*': 'string' },
+    defaultBooks: ['string'],
+    'presets?': [{ name: 'string', books: ['string'] }],
+  },
+  cardsources: { '*': { '*': 'string' } },
+  classes: { '*': { _special: 'string' } },
+  equipment: {
+    lists: 'object',
+    classes: 'object',
+    backgrounds: 'object',
+    defaultBackground: 'object',
+    lifeEventGold: 'array',
+  },
+  levels: {
+    maxLevel: 'number',
+    proficiencyBonus: ['number'],
+    featChance: 'number',
+    classes: 'object',
+    multiclassPrerequisites: 'object',
+  },
+  life: { alignments: 'array', origins: 'object', eventTables: 'object', tables: 'object', trinkets: 'array' },
+  names: 'object',
+  npcs: { occupations: 'object', '*': 'array' },
+  other: {
+    genders: 'array',
+    raceWeights: { '*': 'number' },
+    monstrousOrigins: 'array',
+    halfElfNames: 'object',
+    halfOrcNames: 'object',
+    halfEthnicity: 'object',
+    tieflingNames: 'object',
+    tieflingAppearance: 'object',
+    dragonmark: 'object',
+  },
+  races: { '*': { _special: 'string' } },
+  regions: { '*': 'object' },
+  spells: {
+    classes: 'object',
+    subclasses: 'object',
+    spells: [{ name: 'string', level: 'number', book: 'string', classes: ['string'] }],
+  },
+};
+
+const DARK_DAWN_SCHEMAS = {
+  races: { '*': { name: 'string', description: 'string' } },
+  factions: {
+    '*': { name: 'string', description: 'string', abilities: [{ name: 'string', description: 'string' }] },
+  },
+  deities: {
+    '*': {
+      name: 'string',
+      description: 'string',
+      bonuses: [
+        {
+          devotion: 'string',
+          effect: 'string',
+          fanaticism: 'string',
+          'event?': 'string',
+          'points?': 'number',
+          'unlock?': 'number',
+          'fanaticismAt?': 'number',
+        },
+      ],
+    },
+  },
+  classes: {
+    '*': {
+      name: 'string',
+      role: 'string',
+      secondaryRole: 'string',
+      mainStats: 'string',
+      description: 'string',
+      difficulty: 'string',
+    },
+  },
+  specialAbilities: {
+    '*': { name: 'string', description: 'string', 'ranksPlaceholder?': 'boolean', 'ranks?': [{ unlock: 'string' }] },
+  },
+  sheet: {
+    stats: ['string'],
+    statArray: ['number'],
+    maxStat: 'number',
+    experience: ['number'],
+    ranks: ['string'],
+    'startingRank?': 'object',
+    inventory: [{ name: 'string', quantity: 'number' }],
+  },
+  rules: {
+    groups: { '*': ['string'] },
+    rules: [
+      {
+        when: 'object',
+        'require?': 'object',
+        'forbid?': 'object',
+        'favour?': 'object',
+        'weight?': 'number',
+        'reason?': 'string',
+      },
+    ],
+  },
+};
+
+// Dark Dawn rule attributes and the names they can use (as shown on the sheet)
+const DARK_DAWN_RULE_NAMES = {
+  race: (data) => Object.values(data.races).map((race) => race.name),
+  class: (data) => Object.values(data.classes).map((ddClass) => ddClass.name),
+  faction: (data) => Object.values(data.factions).map((faction) => faction.name),
+  factionAbility: (data) =>
+    Object.values(data.factions).flatMap((faction) => (faction.abilities || []).map((ability) => ability.name)),
+  deity: (data) => Object.values(data.deities).map((deity) => deity.name),
+  specialAbility: (data) => Object.values(data.specialAbilities).map((ability) => ability.name),
+};
+
+// Random tables the generators roll on by name
+const LIFE_TABLES = [
+  'Alignment',
+  'Adventurer Class',
+  'Status',
+  'Raised By',
+  'Absent Parent',
+  'Family Lifestyle',
+  'Childhood Home',
+  'Childhood Memories',
+  'Relationship',
+  'Number of Siblings',
+  'Birth Order',
+  'Order of Construction',
+  'Spouse Race',
+];
+
+/**
+ * Describe a value's type the way schemas name them
+ * @param {*} value - Value
+ * @returns {string} 'array', 'object', 'null', or the typeof
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Add an issue to the list
+ * @param {Array} issues - Issues (added to)
+ * @param {string} level - 'error' or 'warning'
+ * @param {string} path - Where the problem is, e.g. 'races > Elf'
+ * @param {string} message - What is wrong
+ */
+function addIssue(issues, level, path, message) {
+  issues.push({ level: level, path: path, message: message });
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {*} schema - Schema (see above)
+ * @param {string} path - Readable path
+ * @param {Array} issues - Issues (added to)
+ */
+function checkSchema(value, schema, path, issues) {
+  if (typeof schema == 'string') {
+    if (typeOf(value) != schema) addIssue(issues, 'error', path, `should be ${schema}, found ${typeOf(value)}`);
+    return;
+  }
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) addIssue(issues, 'error', path, `should be array, found ${typeOf(value)}`);
+    else value.forEach((item, index) => checkSchema(item, schema[0], path + ' > ' + (index + 1), issues));
+    return;
+  }
+  if (typeOf(value) != 'object') {
+    addIssue(issues, 'error', path, `should be object, found ${typeOf(value)}`);
+    return;
+  }
+
+  const listed = [];
+  for (let key in schema) {
+    if (key == '*') continue;
+    const optional = key.endsWith('?'),
+      name = optional ? key.slice(0, -1) : key;
+    listed.push(name);
+    if (value[name] !== undefined) checkSchema(value[name], schema[key], path + ' > ' + name, issues);
+    else if (!optional) addIssue(issues, 'error', path, `is missing "${name}"`);
+  }
+  if (schema['*'] === undefined) return;
+  for (let key in value) {
+    if (!listed.includes(key)) checkSchema(value[key], schema['*'], path + ' > ' + key, issues);
+  }
+}
+
+/**
+ * Check book codes (e.g. 'EGtW/VGtM') against books.json
+ * @param {string} bookString - Book codes separated by '/'
+ * @param {Array} bookCodes - Known book codes
+ * @param {string} path - Readable path
+ * @param {string} what - What the codes are used for
+ * @param {Array} issues - Issues (added to)
+ */
+function checkBookCodes(bookString, bookCodes, path, what, issues) {
+  bookString
+    .split('/')
+    .filter((code) => !bookCodes.includes(code))
+    .forEach((code) => addIssue(issues, 'error', path, `${what} "${code}" is not in books.json`));
+}
+
+/**
+ * Check every _special tag below a value
+ * @param {*} value - Data to search
+ * @param {string} path - Readable path
+ * @param {Array} bookCodes - Known book codes
+ * @param {Array} issues - Issues (added to)
+ */
+function checkSpecials(value, path, bookCodes, issues) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => checkSpecials(item, path + ' > ' + (index + 1), bookCodes, issues));
+    return;
+  }
+  if (typeOf(value) != 'object') return;
+
+  if (typeof value._special == 'string') {
+    const cases = value._special.split(' ').filter((special) => special.length > 0);
+    cases.forEach((special) => {
+      if (!Content.HasSpecial(special)) addIssue(issues, 'error', path, `unknown special "${special}"`);
+      else if (special.startsWith('book-')) checkBookCodes(special.slice(5), bookCodes, path, 'book', issues);
+    });
+    if (cases.includes('booksort')) {
+      // Entries with their own _special (e.g. the Eberron dragonmark variants) are not book columns
+      for (let column in value) {
+        if (column != '_special' && value[column]?._special === undefined)
+          checkBookCodes(column, bookCodes, path, 'booksort column', issues);
+      }
+    }
+    if (cases.includes('characteristics')) checkSchema(value, CHARACTERISTICS_SCHEMA, path, issues);
+  } else if (value._special !== undefined) addIssue(issues, 'error', path, '_special should be string');
+
+  for (let key in value) {
+    if (key != '_special') checkSpecials(value[key], path + ' > ' + key, bookCodes, issues);
+  }
+}
+
+/**
+ * Check that the name tables Names.Get reads for each race exist
+ * @param {Object} data - Character data
+ * @param {Array} issues - Issues (added to)
+ */
+function checkNameTables(data, issues) {
+  const names = data.names;
+  for (let raceName in data.races) {
+    const tables = Names.GetNameTables(raceName);
+    if (tables == null) {
+      if (!names[raceName])
+        addIssue(issues, 'warning', 'races > ' + raceName, 'has no name table; human names are used');
+      continue;
+    }
+    for (let tableName in tables) {
+      const path = 'names > ' + tableName;
+      if (names[tableName] === undefined) {
+        addIssue(issues, 'error', path, `is missing (needed for ${raceName})`);
+      } else if (tables[tableName] == null) {
+        if (!Array.isArray(names[tableName])) addIssue(issues, 'error', path, 'should be a list of names');
+      } else {
+        tables[tableName]
+          .filter((list) => !Array.isArray(names[tableName][list]))
+          .forEach((list) => addIssue(issues, 'error', path, `is missing the "${list}" list (needed for ${raceName})`));
+      }
+    }
+  }
+
+  // Human ethnicities are looked up in the name tables by name
+  const ethnicities = data.races.Human?.['Subraces and Variants']?.Ethnicity || {};
+  (ethnicities.PHB || []).concat(ethnicities.SCAG || []).forEach((ethnicity) => {
+    if (ethnicity != 'Tethyrian' && !names.Human?.[ethnicity])
+      addIssue(issues, 'error', 'names > Human', `has no names for the ${ethnicity} ethnicity`);
+  });
+  (ethnicities.Real || []).forEach((ethnicity) => {
+    if (!names['Human (Real)']?.[ethnicity])
+      addIssue(issues, 'error', 'names > Human (Real)', `has no names for the ${ethnicity} ethnicity`);
+  });
+}
+
+/**
+ * Check the random tables rolled through Tables.Roll
+ * @param {Object} data - Character data
+ * @param {Array} issues - Issues (added to)
+ */
+function checkRandomTables(data, issues) {
+  const tables = [
+    ['npcs > occupations', data.npcs.occupations],
+    ['other > halfElfNames', data.other.halfElfNames],
+    ['other > halfOrcNames', data.other.halfOrcNames],
+    ['other > halfEthnicity', data.other.halfEthnicity],
+    ['other > tieflingNames', data.other.tieflingNames],
+    ['other > tieflingAppearance', data.other.tieflingAppearance],
+    ['other > dragonmark', data.other.dragonmark],
+  ];
+  LIFE_TABLES.forEach((tableName) => {
+    if (data.life.tables[tableName] === undefined) addIssue(issues, 'error', 'life > tables', `is missing "${tableName}"`);
+  });
+  for (let tableName in data.life.tables) tables.push(['life > tables > ' + tableName, data.life.tables[tableName]]);
+  for (let tableName in data.life.eventTables)
+    tables.push(['life > eventTables > ' + tableName, data.life.eventTables[tableName]]);
+
+  tables.forEach(([path, table]) =>
+    Tables.Validate(table).forEach((problem) => addIssue(issues, 'error', path, problem))
+  );
+}
+
+/**
+ * Check the regional demographics
+ * @param {Object} data - Character data
+ * @param {Array} issues - Issues (added to)
+ */
+function checkRegions(data, issues) {
+  for (let regionName in data.regions) {
+    validateRegion(data.regions[regionName], data.races).forEach((problem) =>
+      addIssue(issues, 'error', 'regions > ' + regionName, problem)
+    );
+  }
+}
+
+/**
+ * Check that tables keyed by race or class only use known races and classes
+ * @param {Object} data - Character data
+ * @param {Array} issues - Issues (added to)
+ */
+function checkReferences(data, issues) {
+  const references = [
+    ['other > raceWeights', data.other?.raceWeights, data.races, 'race'],
+    ['abilities > classPriorities', data.abilities?.classPriorities, data.classes, 'class'],
+    ['levels > classes', data.levels?.classes, data.classes, 'class'],
+    ['equipment > classes', data.equipment?.classes, data.classes, 'class'],
+    ['equipment > backgrounds', data.equipment?.backgrounds, data.backgrounds, 'background'],
+  ];
+  references.forEach(([path, table, known, what]) => {
+    for (let key in table || {}) {
+      if (!known?.[key]) addIssue(issues, 'warning', path + ' > ' + key, `is not a known ${what}`);
+    }
+  });
+}
+
+/**
+ * Validate the D&D character data (the files loaded by useCharacterData)
+ * @param {Object} data - Character data
+ * @returns {Array} Issues {level, path, message}
+ */
+export function validateCharacterData(data) {
+  const issues = [];
+  for (let file in CHARACTER_SCHEMAS) {
+    if (data[file] == null) addIssue(issues, 'error', file, 'is not loaded');
+    else checkSchema(data[file], CHARACTER_SCHEMAS[file], file, issues);
+  }
+  if (issues.some((issue) => !issue.path.includes(' > '))) return issues;
+
+  const books = data.books;
+  const bookCodes = ['Real', 'PHB'].concat(books.availableBooks);
+  books.availableBooks
+    .filter((code) => !books.bookNames[code])
+    .forEach((code) => addIssue(issues, 'warning', 'books > bookNames', `has no name for "${code}"`));
+  books.defaultBooks.forEach((code) => checkBookCodes(code, bookCodes, 'books > defaultBooks', 'book', issues));
+  (books.presets || []).forEach((preset) =>
+    preset.books?.forEach((code) => checkBookCodes(code, bookCodes, 'books > presets > ' + preset.name, 'book', issues))
+  );
+  data.spells.spells.forEach((spell) => {
+    if (typeof spell.book == 'string')
+      checkBookCodes(spell.book, bookCodes, 'spells > ' + spell.name, 'book', issues);
+  });
+
+  ['races', 'classes', 'backgrounds', 'life', 'other'].forEach((file) => checkSpecials(data[file], file, bookCodes, issues));
+  checkNameTables(data, issues);
+  checkRandomTables(data, issues);
+  checkRegions(data, issues);
+  checkReferences(data, issues);
+  return issues;
+}
+
+/**
+ * Check that the Dark Dawn rules only use known attributes, names and groups
+ * @param {Object} data - Dark Dawn data
+ * @param {Array} issues - Issues (added to)
+ */
+function checkDarkDawnRules(data, issues) {
+  const groups = data.rules.groups;
+  data.rules.rules.forEach((rule, index) => {
+    const path = 'rules > rules > ' + (index + 1);
+    ['when', 'require', 'forbid', 'favour'].forEach((part) => {
+      for (let key in rule[part] || {}) {
+        if (!DARK_DAWN_RULE_NAMES[key]) {
+          addIssue(issues, 'error', path, `${part} uses unknown attribute "${key}"`);
+          continue;
+        }
+        const known = DARK_DAWN_RULE_NAMES[key](data);
+        []
+          .concat(rule[part][key])
+          .flatMap((name) => groups[name] || [name])
+          .filter((name) => !known.includes(name))
+          .forEach((name) => addIssue(issues, 'error', path, `${part} > ${key} "${name}" is not a known ${key}`));
+      }
+    });
+    if (!rule.require && !rule.forbid && !rule.favour)
+      addIssue(issues, 'warning', path, 'has no require, forbid or favour');
+  });
+}
+
+/**
+ * Check the sheet data against the classes and special abilities
+ * @param {Object} data - Dark Dawn data
+ * @param {Array} issues - Issues found so far
+ */
+function checkDarkDawnSheet(data, issues) {
+  const sheet = data.sheet;
+  if (sheet.statArray.length != sheet.stats.length)
+    addIssue(issues, 'error', 'sheet > statArray', `has ${sheet.statArray.length} values for ${sheet.stats.length} stats`);
+  if (sheet.experience[0] != 0 || sheet.experience.some((needed, index) => index > 0 && needed <= sheet.experience[index - 1]))
+    addIssue(issues, 'error', 'sheet > experience', 'should start at 0 and keep rising');
+  for (let key in data.classes) {
+    (data.classes[key].mainStats || '')
+      .split('|')
+      .map((stat) => stat.trim())
+      .filter((stat) => !sheet.stats.includes(stat))
+      .forEach((stat) => addIssue(issues, 'error', 'classes > ' + key, `main stat "${stat}" is not in sheet > stats`));
+  }
+  if (sheet.startingRank)
+    Tables.Validate(sheet.startingRank).forEach((problem) =>
+      addIssue(issues, 'error', 'sheet > startingRank', problem)
+    );
+  for (let key in data.specialAbilities) {
+    const ranks = data.specialAbilities[key].ranks || [];
+    if (ranks.length > sheet.ranks.length)
+      addIssue(issues, 'error', 'specialAbilities > ' + key, `has ${ranks.length} ranks, but sheet > ranks names ${sheet.ranks.length}`);
+  }
+}
+
+/**
+ * Validate the Dark Dawn data (the files loaded by useDarkDawnData)
+ * @param {Object} data - Dark Dawn data
+ * @returns {Array} Issues {level, path, message}
+ */
+export function validateDarkDawnData(data) {
+  const issues = [];
+  for (let file in DARK_DAWN_SCHEMAS) {
+    if (data[file] == null) {
+      addIssue(issues, 'error', file, 'is not loaded');
+      continue;
+    }
+    checkSchema(data[file], DARK_DAWN_SCHEMAS[file], file, issues);
+
+    // Entries are looked up by key and shown by name, so the two must agree
+    for (let key in data[file]) {
+      const name = data[file][key]?.name;
+      if (typeof name == 'string' && name != key)
+        addIssue(issues, 'error', file + ' > ' + key, `is named "${name}"`);
+    }
+  }
+  // Rules name entries of the other files, so they are only checked once everything loaded
+  if (issues.every((issue) => issue.path.includes(' > ') && !issue.path.startsWith('rules')))
+    checkDarkDawnRules(data, issues);
+  // The sheet check reads the classes and special abilities too, so they must all be in shape
+  if (issues.every((issue) => !['sheet', 'classes', 'specialAbilities'].some((file) => issue.path.startsWith(file))))
+    checkDarkDawnSheet(data, issues);
+  return issues;
+}
+
+/**
+ * Format issues as a readable report
+ * @param {string} title - What was validated, e.g. 'Character data'
+ * @param {Array} issues - Issues {level, path, message}
+ * @returns {string} Report text
+ */
+export function formatDataReport(title, issues) {
+  const errors = issues.filter((issue) => issue.level == 'error').length;
+  const summary = `${title}: ${errors} error(s), ${issues.length - errors} warning(s)`;
+  return [summary]
+    .concat(issues.map((issue) => `- [${issue.level}] ${issue.path} ${issue.message}`))
+    .join('\n');
+}
+
+/**
+ * Print a validation report to the console
+ * @param {string} title - What was validated
+ * @param {Array} issues - Issues {level, path, message}
+ */
+export function printDataReport(title, issues) {
+  if (issues.length == 0) console.info(title + ': no problems found');
+  else if (issues.some((issue) => issue.level == 'error')) console.error(formatDataReport(title, issues));
+  else console.warn(formatDataReport(title, issues));
+}
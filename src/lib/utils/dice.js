@@ -0,0 +1,393 @@
+/**
+ * Dice expression parser and evaluator
+ * Supports expressions such as '2d6+3', '4d6kh3', '1d20 adv', 'd%', '(1d4+1)d6',
+ * '3d6!', '2d8r<3' and '4d6ro1'
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := ('-' | '+') unary | primary
+ *   primary    := count? 'd' sides modifier* | number | '(' expression ')'
+ *   count      := number | '(' expression ')'
+ *   sides      := number | '%' | '(' expression ')'
+ *   modifier   := 'kh' n? | 'kl' n? | 'k' n? | 'dh' n? | 'dl' n?
+ *               | '!' compare? | 'r' compare? | 'ro' compare?
+ *               | 'adv' | 'advantage' | 'dis' | 'disadvantage'
+ *   compare    := ('>' | '<' | '>=' | '<=' | '=')? number
+ */
+
+import Random from './random';
+import Trace from './trace';
+
+// Guards against runaway rolls (e.g. '1000000d6' or an explosion on every face)
+const MAX_DICE = 1000;
+const MAX_REPEATS = 100;
+
+/**
+ * Build a parser for one expression
+ * @param {string} expression - Dice expression
+ * @returns {Function} Function that parses the whole expression into a tree
+ */
+function createParser(expression) {
+  const source = expression.toLowerCase();
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid dice expression "${expression}": ${message} at position ${pos + 1}`);
+  };
+
+  const skipSpace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+
+  // Consume and return the regex match at the current position, if any
+  const match = (regex) => {
+    skipSpace();
+    const result = regex.exec(source.slice(pos));
+    if (!result) return null;
+    pos += result[0].length;
+    return result;
+  };
+
+  const expect = (regex, description) => match(regex) || fail(`expected ${description}`);
+
+  const parseCompare = (defaultCompare) => {
+    const compare = match(/^(>=|<=|>|<|=)?(\d+)/);
+    if (!compare) return defaultCompare;
+    return { op: compare[1] || '=', value: parseInt(compare[2]) };
+  };
+
+  const parseModifiers = () => {
+    const modifiers = [];
+    for (;;) {
+      let modifier;
+      if ((modifier = match(/^(advantage|adv)\b/)))
+        modifiers.push({ type: 'advantage', mode: 'advantage' });
+      else if ((modifier = match(/^(disadvantage|dis)\b/)))
+        modifiers.push({ type: 'advantage', mode: 'disadvantage' });
+      else if ((modifier = match(/^k([hl])?(\d+)?/)))
+        modifiers.push({
+          type: 'keep',
+          which: modifier[1] == 'l' ? 'lowest' : 'highest',
+          count: modifier[2] ? parseInt(modifier[2]) : 1,
+        });
+      else if ((modifier = match(/^d([hl])(\d+)?/)))
+        modifiers.push({
+          type: 'drop',
+          which: modifier[1] == 'h' ? 'highest' : 'lowest',
+          count: modifier[2] ? parseInt(modifier[2]) : 1,
+        });
+      else if (match(/^!/)) modifiers.push({ type: 'explode', compare: parseCompare(null) });
+      else if ((modifier = match(/^r(o)?/)))
+        modifiers.push({
+          type: 'reroll',
+          once: modifier[1] == 'o',
+          compare: parseCompare({ op: '=', value: 1 }),
+        });
+      else return modifiers;
+    }
+  };
+
+  const parseDice = (count, start) => {
+    let sides;
+    if (match(/^%/)) sides = { type: 'number', value: 100 };
+    else if (match(/^\(/)) {
+      sides = parseExpression();
+      expect(/^\)/, "')'");
+    } else {
+      const number = expect(/^\d+/, 'number of sides');
+      sides = { type: 'number', value: parseInt(number[0]) };
+    }
+    const modifiers = parseModifiers();
+    return {
+      type: 'dice',
+      count: count,
+      sides: sides,
+      modifiers: modifiers,
+      notation: expression.slice(start, pos).trim(),
+    };
+  };
+
+  const parsePrimary = () => {
+    skipSpace();
+    const start = pos;
+    let count;
+
+    if (match(/^\(/)) {
+      count = parseExpression();
+      expect(/^\)/, "')'");
+      count = { type: 'group', expression: count };
+    } else {
+      const number = match(/^\d+/);
+      if (number) count = { type: 'number', value: parseInt(number[0]) };
+    }
+
+    if (match(/^d/)) return parseDice(count || { type: 'number', value: 1 }, start);
+    if (!count) fail('expected a number, dice or "("');
+    return count;
+  };
+
+  const parseUnary = () => {
+    if (match(/^-/)) return { type: 'negate', operand: parseUnary() };
+    if (match(/^\+/)) return parseUnary();
+    return parsePrimary();
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    let operator;
+    while ((operator = match(/^[*/]/)))
+      node = { type: 'binary', op: operator[0], left: node, right: parseUnary() };
+    return node;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    let operator;
+    while ((operator = match(/^[+-]/)))
+      node = { type: 'binary', op: operator[0], left: node, right: parseTerm() };
+    return node;
+  };
+
+  return () => {
+    if (source.trim().length == 0) fail('expression is empty');
+    const tree = parseExpression();
+    skipSpace();
+    if (pos < source.length) fail(`unexpected "${expression.slice(pos, pos + 1)}"`);
+    return tree;
+  };
+}
+
+/**
+ * Check a die value against a compare point
+ * @param {number} value - Die value
+ * @param {Object} compare - Compare point {op, value}
+ * @returns {boolean} True if the value matches
+ */
+function compareMatches(value, compare) {
+  switch (compare.op) {
+    case '>':
+      return value > compare.value;
+    case '<':
+      return value < compare.value;
+    case '>=':
+      return value >= compare.value;
+    case '<=':
+      return value <= compare.value;
+    default:
+      return value == compare.value;
+  }
+}
+
+/**
+ * Roll a single die, applying rerolls
+ * @param {number} sides - Number of sides
+ * @param {Object} reroll - Reroll modifier (optional)
+ * @returns {Object} Die {value, sides, kept, rerolled}
+ */
+function rollDie(sides, reroll) {
+  const die = { value: Random.Num(sides) + 1, sides: sides, kept: true };
+  if (!reroll) return die;
+
+  let repeats = 0;
+  while (compareMatches(die.value, reroll.compare)) {
+    if (++repeats > MAX_REPEATS) throw new Error('Reroll condition matches every face of a d' + sides);
+    die.rerolled = (die.rerolled || []).concat(die.value);
+    die.value = Random.Num(sides) + 1;
+    if (reroll.once) break;
+  }
+  return die;
+}
+
+/**
+ * Roll one set of dice for a dice node
+ * @param {number} count - Number of dice
+ * @param {number} sides - Number of sides
+ * @param {Array} modifiers - Dice modifiers
+ * @returns {Array} Dice with kept flags applied
+ */
+function rollSet(count, sides, modifiers) {
+  const reroll = modifiers.find((modifier) => modifier.type == 'reroll');
+  const explode = modifiers.find((modifier) => modifier.type == 'explode');
+  const dice = [];
+
+  for (let dieNum = 0; dieNum < count; dieNum++) {
+    let die = rollDie(sides, reroll);
+    dice.push(die);
+    if (!explode) continue;
+
+    const explodeOn = explode.compare || { op: '=', value: sides };
+    let repeats = 0;
+    while (compareMatches(die.value, explodeOn)) {
+      if (++repeats > MAX_REPEATS) throw new Error('Exploding condition matches every face of a d' + sides);
+      die = rollDie(sides, reroll);
+      die.exploded = true;
+      dice.push(die);
+    }
+  }
+
+  // Keep/drop operate on the dice sorted by value; ties keep their original order
+  for (const modifier of modifiers) {
+    if (modifier.type != 'keep' && modifier.type != 'drop') continue;
+    const kept = dice.filter((die) => die.kept);
+    const order = kept
+      .slice()
+      .sort((a, b) => (modifier.which == 'highest' ? b.value - a.value : a.value - b.value));
+    const affected =
+      modifier.type == 'keep'
+        ? order.slice(Math.min(modifier.count, order.length))
+        : order.slice(0, modifier.count);
+    affected.forEach((die) => (die.kept = false));
+  }
+
+  return dice;
+}
+
+/**
+ * Sum the kept dice of a set
+ * @param {Array} dice - Dice array
+ * @returns {number} Total of kept dice
+ */
+function sumKept(dice) {
+  return dice.reduce((total, die) => total + (die.kept ? die.value : 0), 0);
+}
+
+/**
+ * Evaluate a parsed expression tree
+ * @param {Object} node - Tree node
+ * @returns {Object} Result {total, rolls}
+ */
+function evaluate(node) {
+  switch (node.type) {
+    case 'number':
+      return { total: node.value, rolls: [] };
+
+    case 'group':
+      return evaluate(node.expression);
+
+    case 'negate': {
+      const operand = evaluate(node.operand);
+      return { total: -operand.total, rolls: operand.rolls };
+    }
+
+    case 'binary': {
+      const left = evaluate(node.left),
+        right = evaluate(node.right);
+      let total;
+      if (node.op == '+') total = left.total + right.total;
+      else if (node.op == '-') total = left.total - right.total;
+      else if (node.op == '*') total = left.total * right.total;
+      else {
+        if (right.total == 0) throw new Error('Dice expression divides by zero');
+        total = Math.floor(left.total / right.total); // 5e rounds down
+      }
+      return { total: total, rolls: left.rolls.concat(right.rolls) };
+    }
+
+    case 'dice': {
+      const count = evaluate(node.count),
+        sides = evaluate(node.sides);
+      if (count.total < 0 || count.total > MAX_DICE)
+        throw new Error(`Cannot roll ${count.total} dice in "${node.notation}"`);
+      if (sides.total < 1) throw new Error(`Dice need at least one side in "${node.notation}"`);
+
+      // Advantage rolls the whole set twice and keeps the better (or worse) set
+      const advantage = node.modifiers.find((modifier) => modifier.type == 'advantage');
+      let dice = rollSet(count.total, sides.total, node.modifiers);
+      if (advantage) {
+        const otherDice = rollSet(count.total, sides.total, node.modifiers);
+        const firstBetter = sumKept(dice) >= sumKept(otherDice);
+        const [keptSet, discardedSet] =
+          firstBetter == (advantage.mode == 'advantage') ? [dice, otherDice] : [otherDice, dice];
+        discardedSet.forEach((die) => {
+          die.kept = false;
+          die.discarded = true;
+        });
+        dice = keptSet.concat(discardedSet);
+      }
+
+      const total = sumKept(dice);
+      return {
+        total: total,
+        rolls: count.rolls
+          .concat(sides.rolls)
+          .concat([{ notation: node.notation, dice: dice, total: total }]),
+      };
+    }
+  }
+  throw new Error('Unknown dice expression node: ' + node.type);
+}
+
+const Dice = {
+  /**
+   * Parse a dice expression into a tree
+   * @param {string|number} expression - Dice expression
+   * @returns {Object} Expression tree
+   * @throws {Error} With a readable message when the expression is invalid
+   */
+  Parse: function (expression) {
+    return createParser(String(expression))();
+  },
+
+  /**
+   * Check whether a dice expression is valid
+   * @param {string|number} expression - Dice expression
+   * @returns {boolean} True if the expression parses
+   */
+  IsValid: function (expression) {
+    try {
+      this.Parse(expression);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Roll a dice expression
+   * @param {string|number} expression - Dice expression (e.g. '4d6kh3', '2d6+3')
+   * @returns {Object} Result {expression, total, rolls}, each roll being
+   *   {notation, total, dice: [{value, sides, kept, exploded, rerolled, discarded}]}
+   */
+  Roll: function (expression) {
+    const result = evaluate(this.Parse(expression));
+    const roll = { expression: String(expression), total: result.total, rolls: result.rolls };
+    if (Trace.IsActive() && roll.rolls.length > 0) Trace.Note('Dice', this.Format(roll));
+    return roll;
+  },
+
+  /**
+   * Roll a dice expression and return only the total
+   * @param {string|number} expression - Dice expression
+   * @returns {number} Total rolled value
+   */
+  Total: function (expression) {
+    return this.Roll(expression).total;
+  },
+
+  /**
+   * Describe how a roll was made, e.g. '4d6kh3 [6, 5, 3, (1)] = 14'
+   * Dropped dice are in parentheses, exploded dice end in '!',
+   * and rerolled dice list the replaced values ('1→4'). Expressions with
+   * more than a single roll are prefixed, e.g. '5d4*10: 5d4 [2, 1, 2, 4] = 90'
+   * @param {Object} result - Result from Roll
+   * @returns {string} Human readable breakdown
+   */
+  Format: function (result) {
+    const rolls = result.rolls.map((roll) => {
+      const dice = roll.dice.map((die) => {
+        let text = (die.rerolled ? die.rerolled.join('→') + '→' : '') + die.value;
+        if (die.exploded) text += '!';
+        return die.kept ? text : '(' + text + ')';
+      });
+      return roll.notation + ' [' + dice.join(', ') + ']';
+    });
+    const single =
+      result.rolls.length == 1 &&
+      result.rolls[0].notation.replace(/\s+/g, '') == result.expression.replace(/\s+/g, '');
+    const prefix = rolls.length && !single ? result.expression + ': ' : '';
+    return prefix + (rolls.length ? rolls.join(' ') + ' ' : '') + '= ' + result.total;
+  },
+};
+
+export default Dice;
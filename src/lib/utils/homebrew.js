@@ -0,0 +1,273 @@
+/**
+ * Homebrew book utilities
+ * Homebrew books add races, classes, backgrounds, names, life tables and regions on top
+ * of the built-in data. New content is tied to the book's code with the same
+ * _special book-XYZ / booksort conventions the built-in data uses, so it only
+ * appears when the book is selected.
+ *
+ * Homebrew book format:
+ *   {
+ *     code: 'HBX',
+ *     name: 'My Homebrew',
+ *     races: { 'New Race': {...}, 'Elf': { 'Subraces and Variants': { 'Subrace': { 'HBX': [...] } } } },
+ *     classes: {...},
+ *     backgrounds: {...},
+ *     names: { 'New Race': [...] },
+ *     life: { trinkets: [...], eventTables: { Boon: [...] } },
+ *     regions: { 'My City': { races: {...}, occupations: {...} } }
+ *   }
+ */
+
+import { loadSettings, saveSettings } from './settings';
+import Content from '../generators/content';
+import { validateRegion } from './regions';
+
+const CONTENT_SECTIONS = ['races', 'classes', 'backgrounds'];
+const SECTIONS = CONTENT_SECTIONS.concat(['names', 'life', 'regions']);
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Make sure a special string limits its item to a book
+ * @param {string} special - Existing special string (may be undefined)
+ * @param {string} code - Book code
+ * @returns {string} Special string starting with book-code (unless it already names the book)
+ */
+function addBookSpecial(special, code) {
+  const cases = (special || '').split(' ').filter((specialCase) => specialCase.length > 0);
+  if (cases.some((specialCase) => specialCase.startsWith('book-') && specialCase.slice(5).split('/').includes(code)))
+    return cases.join(' ');
+  return ['book-' + code].concat(cases.filter((specialCase) => !specialCase.startsWith('book-'))).join(' ');
+}
+
+/**
+ * Tie a new value to a book: objects get a book special, lists become a booksort table
+ * @param {*} value - New value
+ * @param {string} code - Book code
+ * @returns {Object} Value that only appears when the book is selected
+ */
+function gateByBook(value, code) {
+  if (isObject(value)) return { ...value, _special: addBookSpecial(value._special, code) };
+  return { _special: 'booksort', [code]: Array.isArray(value) ? value : [value] };
+}
+
+/**
+ * Find special cases that have no handler
+ * @param {*} value - Homebrew value to search
+ * @param {string} path - Readable path for errors
+ * @param {Array} errors - Error messages (added to)
+ */
+function checkSpecials(value, path, errors) {
+  if (Array.isArray(value)) value.forEach((item, index) => checkSpecials(item, path + ' > ' + (index + 1), errors));
+  if (!isObject(value)) return;
+  for (let key in value) {
+    if (key != '_special') checkSpecials(value[key], path + ' > ' + key, errors);
+    else if (typeof value._special != 'string') errors.push(`${path}: _special must be text`);
+    else
+      value._special
+        .split(' ')
+        .filter((special) => special.length > 0 && !Content.HasSpecial(special))
+        .forEach((special) => errors.push(`${path}: unknown special "${special}"`));
+  }
+}
+
+/**
+ * Add a homebrew entry's properties to a built-in entry without overwriting anything
+ * Inside booksort tables new columns must be named after the book
+ * @param {Object} base - Built-in entry
+ * @param {Object} addition - Homebrew additions
+ * @param {string} code - Book code
+ * @param {string} path - Readable path for errors
+ * @param {Array} errors - Error messages (added to)
+ * @returns {Object} Merged entry
+ */
+function extendEntry(base, addition, code, path, errors) {
+  const merged = { ...base };
+  const isBookSort = typeof base._special === 'string' && base._special.split(' ').includes('booksort');
+
+  for (let key in addition) {
+    const keyPath = path + ' > ' + key;
+    if (!(key in base)) {
+      if (!isBookSort) merged[key] = gateByBook(addition[key], code);
+      else if (key.split('/').includes(code)) merged[key] = addition[key];
+      else errors.push(`${keyPath}: new entries in a booksort table must be named after the book (${code})`);
+    } else if (isObject(base[key]) && isObject(addition[key])) {
+      merged[key] = extendEntry(base[key], addition[key], code, keyPath, errors);
+    } else errors.push(`${keyPath} already exists; homebrew can only add to the built-in data`);
+  }
+  return merged;
+}
+
+/**
+ * Add homebrew lists to a life table (life tables have no book specials, so the
+ * caller only merges books that are selected)
+ * @param {Object} base - Built-in table
+ * @param {Object} addition - Homebrew additions
+ * @param {string} path - Readable path for errors
+ * @param {Array} errors - Error messages (added to)
+ * @returns {Object} Merged table
+ */
+function extendLifeTable(base, addition, path, errors) {
+  const merged = { ...base };
+  for (let key in addition) {
+    const keyPath = path + ' > ' + key;
+    if (!(key in base)) merged[key] = addition[key];
+    else if (Array.isArray(base[key]) && Array.isArray(addition[key])) merged[key] = base[key].concat(addition[key]);
+    else if (isObject(base[key]) && isObject(addition[key]))
+      merged[key] = extendLifeTable(base[key], addition[key], keyPath, errors);
+    else errors.push(`${keyPath} must be a ${Array.isArray(base[key]) ? 'list' : 'group of tables'}, like the built-in one`);
+  }
+  return merged;
+}
+
+/**
+ * Add one homebrew book to the data
+ * @param {Object} data - Character data
+ * @param {Object} book - Homebrew book
+ * @param {boolean} includeLife - Whether to merge the book's life tables
+ * @param {Array} errors - Error messages (added to)
+ * @returns {Object} Merged data
+ */
+function mergeBook(data, book, includeLife, errors) {
+  const merged = { ...data };
+
+  CONTENT_SECTIONS.forEach((section) => {
+    if (!book[section]) return;
+    merged[section] = { ...merged[section] };
+    for (let entryName in book[section]) {
+      const entry = book[section][entryName];
+      const path = book.code + ' ' + section + ' > ' + entryName;
+      if (!isObject(entry)) errors.push(`${path} must be an object`);
+      else if (merged[section][entryName]) {
+        merged[section][entryName] = extendEntry(merged[section][entryName], entry, book.code, path, errors);
+      } else merged[section][entryName] = { ...entry, _special: addBookSpecial(entry._special, book.code) };
+    }
+  });
+
+  // Name lists are looked up by race, so only new lists can be added
+  if (book.names) {
+    merged.names = { ...merged.names };
+    for (let listName in book.names) {
+      if (merged.names[listName]) errors.push(`${book.code} names > ${listName} already exists`);
+      else merged.names[listName] = book.names[listName];
+    }
+  }
+
+  // Regions are picked by name too, and checked against the merged races
+  if (book.regions) {
+    merged.regions = { ...merged.regions };
+    for (let regionName in book.regions) {
+      const path = book.code + ' regions > ' + regionName;
+      if (merged.regions[regionName]) errors.push(`${path} already exists`);
+      else {
+        validateRegion(book.regions[regionName], merged.races).forEach((problem) => errors.push(path + ' ' + problem));
+        merged.regions[regionName] = book.regions[regionName];
+      }
+    }
+  }
+
+  if (book.life && includeLife) merged.life = extendLifeTable(merged.life, book.life, book.code + ' life', errors);
+
+  return merged;
+}
+
+/**
+ * Add homebrew books to the book list
+ * @param {Object} booksData - Books data
+ * @param {Array} homebrewBooks - Homebrew books
+ * @returns {Object} Books data including the homebrew books
+ */
+export function addHomebrewBooks(booksData, homebrewBooks) {
+  const bookNames = { ...booksData.bookNames };
+  homebrewBooks.forEach((book) => (bookNames[book.code] = book.name));
+  return {
+    ...booksData,
+    availableBooks: booksData.availableBooks.concat(homebrewBooks.map((book) => book.code)),
+    bookNames: bookNames,
+  };
+}
+
+/**
+ * Merge homebrew books into the character data
+ * Races, classes, backgrounds, names and regions are always merged (book specials
+ * hide them when the book isn't selected, and regions skip races that are
+ * hidden); life tables only for selected books
+ * @param {Object} data - Character data
+ * @param {Array} homebrewBooks - Homebrew books
+ * @param {Array} usedBooks - Selected books
+ * @returns {Object} Merged data
+ */
+export function mergeHomebrew(data, homebrewBooks, usedBooks) {
+  let merged = { ...data, books: addHomebrewBooks(data.books, homebrewBooks) };
+  const errors = [];
+  homebrewBooks.forEach((book) => {
+    merged = mergeBook(merged, book, usedBooks.includes(book.code), errors);
+  });
+  if (errors.length > 0) console.error('Homebrew merge problems:', errors);
+  return merged;
+}
+
+/**
+ * Parse and validate a homebrew book against the data it will be merged into
+ * @param {string} text - File contents
+ * @param {Object} data - Character data (with any homebrew already registered)
+ * @returns {Object} Homebrew book
+ * @throws {Error} With a readable message when the book can't be used
+ */
+export function parseHomebrewBook(text, data) {
+  let book;
+  try {
+    book = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON: ' + err.message);
+  }
+  if (!isObject(book)) throw new Error('The file does not contain a homebrew book');
+
+  const errors = [];
+  const existingCodes = ['Real', 'PHB'].concat(data.books.availableBooks);
+  if (typeof book.code !== 'string' || !/^[A-Za-z][A-Za-z0-9]{1,9}$/.test(book.code)) {
+    errors.push('"code" must be 2-10 letters or digits, starting with a letter');
+  } else {
+    // Book checks match codes as substrings, so codes can't contain each other
+    const clash = existingCodes.find((code) => code.includes(book.code) || book.code.includes(code));
+    if (clash) errors.push(`The code "${book.code}" clashes with the existing book "${clash}"`);
+  }
+  if (typeof book.name !== 'string' || book.name.trim() === '') errors.push('"name" must be the book\'s name');
+
+  for (let section in book) {
+    if (section == 'code' || section == 'name') continue;
+    if (!SECTIONS.includes(section)) errors.push(`Unknown section "${section}" (use ${SECTIONS.join(', ')})`);
+    else if (!isObject(book[section])) errors.push(`"${section}" must be an object`);
+  }
+  if (SECTIONS.every((section) => !book[section])) errors.push('The book adds nothing');
+
+  if (errors.length == 0) {
+    CONTENT_SECTIONS.forEach((section) => checkSpecials(book[section], book.code + ' ' + section, errors));
+    mergeBook(data, book, true, errors);
+  }
+  if (errors.length > 0) throw new Error('The homebrew book is invalid:\n- ' + errors.join('\n- '));
+  return book;
+}
+
+/**
+ * Load the registered homebrew books
+ * @returns {Array} Homebrew books
+ */
+export function loadHomebrewBooks() {
+  return loadSettings().homebrew || [];
+}
+
+/**
+ * Save the registered homebrew books
+ * @param {Array} homebrewBooks - Homebrew books
+ */
+export function saveHomebrewBooks(homebrewBooks) {
+  saveSettings({ homebrew: homebrewBooks });
+}
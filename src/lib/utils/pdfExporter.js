@@ -1,16 +1,25 @@
 'use client';
 
 /**
- * PDF Exporter utility for Dark Dawn characters
+ * PDF Exporter utility for D&D and Dark Dawn characters
  * Uses pdfMake library to generate PDF documents
  */
 
+import Abilities from '../generators/abilities';
+import Levels from '../generators/levels';
+import Equipment from '../generators/equipment';
+import Spells from '../generators/spells';
+import DarkDawnSheet from '../generators/darkdawnSheet';
+import Devotion from '../generators/devotion';
+
 /**
  * Export Dark Dawn character to PDF
  * @param {Object} ddCharacter - Dark Dawn character object
+ * @param {Object} sheetData - Dark Dawn sheet data (for rank names)
+ * @param {Object} deity - The character's deity as in the current data (for devotion effects)
  * @returns {Promise<void>}
  */
-export async function exportDarkDawnToPDF(ddCharacter) {
+export async function exportDarkDawnToPDF(ddCharacter, sheetData, deity = ddCharacter.Deity) {
   if (!ddCharacter.Race) {
     alert('Please generate a character first');
     return;
@@ -27,18 +36,60 @@ export async function exportDarkDawnToPDF(ddCharacter) {
 
     const characterName = ddCharacter.Name || 'Character';
 
-    const docDefinition = {
-      content: [
-        { text: characterName, fontSize: 20, alignment: 'center', margin: [0, 0, 0, 10], bold: true, style: 'header' },
-        { text: `Race: ${ddCharacter.Race?.name || ''}`, margin: [0, 5, 0, 0] },
-        { text: `Race Description: ${ddCharacter.Race?.description || ''}`, margin: [0, 5, 0, 0] },
-        { text: `Class: ${ddCharacter.Class?.name || ''}`, margin: [0, 5, 0, 0] },
-        { text: `Faction: ${ddCharacter.Faction?.name || ''}`, margin: [0, 5, 0, 0] },
-        { text: `Deity: ${ddCharacter.Deity?.name || ''}`, margin: [0, 5, 0, 0] },
-        { text: `Special Ability: ${ddCharacter.SpecialAbility?.name || ''}`, margin: [0, 5, 0, 0] },
-        { text: `Faction Ability: ${ddCharacter.FactionAbility?.name || ''}`, margin: [0, 5, 0, 0] }
-      ],
-    };
+    const content = [
+      { text: characterName, fontSize: 20, alignment: 'center', margin: [0, 0, 0, 10], bold: true, style: 'header' },
+      { text: `Race: ${ddCharacter.Race?.name || ''}`, margin: [0, 5, 0, 0] },
+      { text: `Race Description: ${ddCharacter.Race?.description || ''}`, margin: [0, 5, 0, 0] },
+      { text: `Class: ${ddCharacter.Class?.name || ''}`, margin: [0, 5, 0, 0] },
+      { text: `Faction: ${ddCharacter.Faction?.name || ''}`, margin: [0, 5, 0, 0] },
+      { text: `Deity: ${ddCharacter.Deity?.name || ''}`, margin: [0, 5, 0, 0] },
+      { text: `Special Ability: ${ddCharacter.SpecialAbility?.name || ''}`, margin: [0, 5, 0, 0] },
+      { text: `Faction Ability: ${ddCharacter.FactionAbility?.name || ''}`, margin: [0, 5, 0, 0] },
+    ];
+
+    if (ddCharacter.Level) {
+      content.push({
+        text: `Level: ${ddCharacter.Level.Level}  Experience: ${ddCharacter.Level.Experience}`,
+        margin: [0, 5, 0, 0],
+      });
+    }
+    if (ddCharacter.SpecialAbilityRank && sheetData) {
+      content.push({
+        text: `${ddCharacter.SpecialAbility?.name || 'Special Ability'} Rank: ${DarkDawnSheet.RankName(ddCharacter.SpecialAbilityRank, sheetData)}`,
+        margin: [0, 5, 0, 0],
+      });
+      DarkDawnSheet.AbilityTiers(ddCharacter.SpecialAbility, sheetData)
+        .filter((tier) => tier.unlock && tier.rank <= ddCharacter.SpecialAbilityRank)
+        .forEach((tier) => content.push({ text: `${tier.name}: ${tier.unlock}`, margin: [10, 2, 0, 0] }));
+    }
+
+    if (ddCharacter.Stats) {
+      content.push({ text: 'Stats', bold: true, margin: [0, 10, 0, 0] });
+      content.push({
+        text: Object.keys(ddCharacter.Stats)
+          .map((stat) => `${stat} ${ddCharacter.Stats[stat]}`)
+          .join('   '),
+        margin: [0, 5, 0, 0],
+      });
+    }
+
+    if (ddCharacter.Deity?.name) {
+      const devotion = Devotion.Get(ddCharacter);
+      content.push({ text: `Devotion: ${devotion.points}`, bold: true, margin: [0, 10, 0, 0] });
+      Devotion.Effects(deity, devotion.points)
+        .filter((effect) => effect.unlocked)
+        .forEach((effect) => content.push({ text: effect.effect, margin: [10, 2, 0, 0] }));
+    }
+
+    if (ddCharacter.Inventory) {
+      content.push({ text: 'Inventory', bold: true, margin: [0, 10, 0, 0] });
+      content.push({
+        text: ddCharacter.Inventory.Items.map((item) => Equipment.FormatItem(item)).join(', '),
+        margin: [0, 5, 0, 0],
+      });
+    }
+
+    const docDefinition = { content: content };
 
     // pdfMake.createPdf(docDefinition).open(`${characterName.replace(/\s/g, '_')}_darkdawn.pdf`);
     pdfMake.createPdf(docDefinition).open();
@@ -47,3 +98,90 @@ export async function exportDarkDawnToPDF(ddCharacter) {
     alert('Error generating PDF. Please try again.');
   }
 }
+
+/**
+ * Export D&D character to PDF
+ * @param {Object} character - D&D character object
+ * @returns {Promise<void>}
+ */
+export async function exportCharacterToPDF(character) {
+  if (!character.Race) {
+    alert('Please generate a character first');
+    return;
+  }
+
+  try {
+    const pdfMake = (await import('pdfmake/build/pdfmake')).default;
+    const pdfFonts = (await import('pdfmake/build/vfs_fonts')).default;
+    pdfMake.addVirtualFileSystem(pdfFonts);
+
+    const characterName = character.Name || 'Character';
+    const content = [
+      { text: characterName, fontSize: 20, alignment: 'center', margin: [0, 0, 0, 10], bold: true, style: 'header' },
+      { text: `Race: ${character.Race?.name || ''}`, margin: [0, 5, 0, 0] },
+      { text: `Class: ${character.Level ? Levels.ClassString(character) : character.Class?.name || ''}`, margin: [0, 5, 0, 0] },
+      { text: `Background: ${character.Background?.name || ''}`, margin: [0, 5, 0, 0] },
+    ];
+
+    if (character.Level) {
+      content.push({ text: `Level: ${character.Level.Level}`, margin: [0, 5, 0, 0] });
+      character.Level.Classes.forEach((classLevel) => {
+        if (classLevel.Subclass) {
+          content.push({ text: `${classLevel.SubclassLabel}: ${classLevel.Subclass}`, margin: [0, 5, 0, 0] });
+        }
+      });
+      content.push({
+        text: `Hit Points: ${character.Level.HitPoints}  Proficiency Bonus: +${character.Level.ProficiencyBonus}`,
+        margin: [0, 5, 0, 0],
+      });
+      character.Level.Improvements.forEach((improvement) => {
+        content.push({
+          text: `${Levels.ImprovementLabel(improvement)}: ${Levels.FormatImprovement(improvement)}`,
+          margin: [10, 2, 0, 0],
+        });
+      });
+    }
+
+    if (character.Abilities?.Scores) {
+      const scores = Abilities.Final(character.Abilities, character.Level?.Improvements);
+      content.push({ text: 'Ability Scores', bold: true, margin: [0, 10, 0, 0] });
+      content.push({
+        text: Object.keys(scores)
+          .map((ability) => `${ability.slice(0, 3).toUpperCase()} ${Abilities.Format(scores[ability])}`)
+          .join('   '),
+        margin: [0, 5, 0, 0],
+      });
+    }
+
+    (character.Spells || []).forEach((caster) => {
+      content.push({
+        text: `${caster.Class} Spells (${caster.Ability}, save DC ${caster.SaveDC}, attack ${Abilities.FormatBonus(caster.AttackBonus)})`,
+        bold: true,
+        margin: [0, 10, 0, 0],
+      });
+      if (caster.Cantrips.length > 0) {
+        content.push({ text: `${Spells.LevelLabel(0)}: ${caster.Cantrips.join(', ')}`, margin: [0, 5, 0, 0] });
+      }
+      for (const level in caster.Spells) {
+        content.push({
+          text: `${Spells.LevelLabel(level)}: ${caster.Spells[level].join(', ')}`,
+          margin: [0, 5, 0, 0],
+        });
+      }
+    });
+
+    if (character.Inventory) {
+      content.push({ text: 'Inventory', bold: true, margin: [0, 10, 0, 0] });
+      content.push({
+        text: character.Inventory.Items.map((item) => Equipment.FormatItem(item)).join(', '),
+        margin: [0, 5, 0, 0],
+      });
+      content.push({ text: `Gold: ${character.Inventory.Gold} gp`, margin: [0, 5, 0, 0] });
+    }
+
+    pdfMake.createPdf({ content: content }).open();
+  } catch (error) {
+    console.error('Error generating PDF:', error);
+    alert('Error generating PDF. Please try again.');
+  }
+}
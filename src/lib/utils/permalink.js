@@ -0,0 +1,127 @@
+/**
+ * Permalink utilities
+ * Encode a character and the selected card type into a URL hash, compressed so
+ * links stay short enough to paste into chat. A character its seed reproduces is
+ * stored as the seed with the generation options, locks and books:
+ *
+ *   { cardType, generate: { system, seed, locks, books, options } }
+ *
+ * and the page generates it again when the link is opened. Characters edited
+ * after generation are stored as the whole character document (see characterFile.js):
+ *
+ *   { cardType, document }
+ */
+
+import { parseCharacterDocument } from './characterFile';
+
+const HASH_KEY = 'character';
+const CARD_TYPES = ['personality', 'characteristics', 'empty', 'plaintext', 'summary'];
+const SYSTEMS = ['dnd', 'darkdawn'];
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} stream - Stream to use
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transform(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode bytes as URL-safe base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url text
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64
+ * @param {string} text - Base64url text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Check the seed form of a link
+ * @param {*} generate - Seed, options, locks and books from a link
+ * @returns {boolean} True when the character can be generated from it
+ */
+function isValidGenerate(generate) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  return (
+    isObject(generate) &&
+    SYSTEMS.includes(generate.system) &&
+    typeof generate.seed === 'string' &&
+    generate.seed.length > 0 &&
+    isObject(generate.locks) &&
+    isObject(generate.options) &&
+    (generate.system === 'darkdawn'
+      ? generate.books === null
+      : Array.isArray(generate.books) && generate.books.every((book) => typeof book === 'string'))
+  );
+}
+
+/**
+ * Create a link that restores a character
+ * @param {Object} doc - Character document
+ * @param {string} cardType - Selected card type
+ * @param {string} baseUrl - Page URL without hash
+ * @param {Object|null} options - Generation options that reproduce the character from its seed
+ *   (null stores the whole document)
+ * @returns {Promise<string>} Permalink
+ */
+export async function createPermalink(doc, cardType, baseUrl, options = null) {
+  const payload = options
+    ? {
+        cardType: cardType,
+        generate: { system: doc.system, seed: doc.seed, locks: doc.locks, books: doc.books, options: options },
+      }
+    : { cardType: cardType, document: doc };
+  const json = JSON.stringify(payload);
+  const compressed = await transform(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return baseUrl + '#' + HASH_KEY + '=' + toBase64Url(compressed);
+}
+
+/**
+ * Read a character from a URL hash
+ * @param {string} hash - URL hash, e.g. '#character=...'
+ * @returns {Promise<Object|null>} {document, cardType} or {generate, cardType} (see above), or null
+ *   when the hash holds no character
+ * @throws {Error} With a readable message when the link is damaged or invalid
+ */
+export async function readPermalink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(HASH_KEY);
+  if (!encoded) return null;
+
+  let json;
+  try {
+    const bytes = await transform(fromBase64Url(encoded), new DecompressionStream('deflate-raw'));
+    json = new TextDecoder().decode(bytes);
+  } catch {
+    throw new Error('The character link is damaged (was it cut off when pasting?)');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch {
+    payload = null;
+  }
+  const cardType = CARD_TYPES.includes(payload?.cardType) ? payload.cardType : 'summary';
+  if (payload?.generate !== undefined) {
+    if (!isValidGenerate(payload.generate)) throw new Error('The character link does not contain a character');
+    return { generate: payload.generate, cardType: cardType };
+  }
+  if (!payload?.document) throw new Error('The character link does not contain a character');
+  return { document: parseCharacterDocument(JSON.stringify(payload.document)), cardType: cardType };
+}
@@ -0,0 +1,128 @@
+/**
+ * Campaign profile utilities
+ * Named presets of enabled books, race-weight mode, ethnicity mode and default
+ * dropdown selections. Built-in presets come from books.json; the user's own
+ * profiles are kept with the other settings and can be exported as JSON files.
+ */
+
+import { loadSettings, saveSettings } from './settings';
+
+export const PROFILE_FORMAT = 'dark-dawn-dnd-profile';
+
+const RACE_MODES = ['normal', 'weighted', 'weighted15', 'weighted20'];
+const ETHNICITY_TYPES = ['standard', 'real', 'both'];
+const SELECTIONS = ['gender', 'race', 'class', 'background'];
+
+/**
+ * Fill in missing profile options with the generator defaults
+ * @param {Object} profile - Profile (possibly partial, e.g. a books.json preset)
+ * @returns {Object} Complete profile
+ */
+function withDefaults(profile) {
+  return {
+    name: profile.name,
+    books: profile.books || [],
+    raceRandomizer: profile.raceRandomizer || 'normal',
+    ethnicityType: profile.ethnicityType || 'standard',
+    selections: {
+      gender: 'Random',
+      race: 'Random',
+      class: 'Random',
+      background: 'Random',
+      ...profile.selections,
+    },
+  };
+}
+
+/**
+ * Create a profile from the current generator options
+ * @param {string} name - Profile name
+ * @param {Object} options - {books, raceRandomizer, ethnicityType, selections: {gender, race, class, background}}
+ * @returns {Object} Profile
+ */
+export function createProfile(name, options) {
+  return withDefaults({ ...options, name: name.trim() });
+}
+
+/**
+ * Get the built-in presets and the user's saved profiles
+ * @param {Object} booksData - Books data with presets
+ * @returns {Array} Profiles, each with a builtIn flag
+ */
+export function loadProfiles(booksData) {
+  const presets = (booksData?.presets || []).map((preset) => ({ ...withDefaults(preset), builtIn: true }));
+  const saved = (loadSettings().profiles || []).map((profile) => ({ ...withDefaults(profile), builtIn: false }));
+  return presets.concat(saved);
+}
+
+/**
+ * Save a profile, replacing a saved profile with the same name
+ * @param {Object} profile - Profile
+ */
+export function saveProfile(profile) {
+  const profiles = (loadSettings().profiles || []).filter((saved) => saved.name !== profile.name);
+  saveSettings({ profiles: profiles.concat(withDefaults(profile)) });
+}
+
+/**
+ * Delete a saved profile
+ * @param {string} name - Profile name
+ */
+export function deleteProfile(name) {
+  saveSettings({ profiles: (loadSettings().profiles || []).filter((saved) => saved.name !== name) });
+}
+
+/**
+ * Parse and validate an exported profile
+ * @param {string} text - File contents
+ * @param {Object} booksData - Books data with availableBooks
+ * @returns {Object} Profile
+ * @throws {Error} With a readable message when the file can't be used
+ */
+export function parseProfile(text, booksData) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON: ' + err.message);
+  }
+  if (doc?.format !== PROFILE_FORMAT) throw new Error('The file is not a campaign profile');
+
+  const profile = doc.profile || {};
+  const errors = [];
+  if (typeof profile.name !== 'string' || profile.name.trim() === '') errors.push('The profile has no name');
+  if (!Array.isArray(profile.books)) errors.push('"books" must be a list of book codes');
+  else {
+    const unknown = profile.books.filter((book) => !booksData.availableBooks.includes(book));
+    if (unknown.length > 0) errors.push('Unknown books: ' + unknown.join(', '));
+  }
+  if (profile.raceRandomizer !== undefined && !RACE_MODES.includes(profile.raceRandomizer)) {
+    errors.push(`Unknown race mode "${profile.raceRandomizer}"`);
+  }
+  if (profile.ethnicityType !== undefined && !ETHNICITY_TYPES.includes(profile.ethnicityType)) {
+    errors.push(`Unknown ethnicity mode "${profile.ethnicityType}"`);
+  }
+  for (let selection in profile.selections || {}) {
+    if (!SELECTIONS.includes(selection)) errors.push(`Unknown dropdown "${selection}"`);
+    else if (typeof profile.selections[selection] !== 'string') errors.push(`The ${selection} selection must be text`);
+  }
+  if (errors.length > 0) throw new Error('The profile is invalid:\n- ' + errors.join('\n- '));
+
+  return withDefaults({ ...profile, name: profile.name.trim() });
+}
+
+/**
+ * Download a profile as a .json file
+ * @param {Object} profile - Profile
+ */
+export function downloadProfile(profile) {
+  const doc = { format: PROFILE_FORMAT, version: 1, profile: withDefaults(profile) };
+  const fileName = profile.name.replace(/[^\w-]+/g, '-').toLowerCase() + '.profile.json';
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
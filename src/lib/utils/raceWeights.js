@@ -0,0 +1,108 @@
+/**
+ * Race weighting utilities
+ * The weighted race modes give PHB races their weight from other.json and every
+ * other selected race a weight of 1, then raise the weights to the mode's power.
+ * The user can override any race's weight (0 leaves the race out); overrides are
+ * kept with the other settings and used for adventurers and for the people met
+ * in life events alike. A region's race weights (see regions.js) replace the
+ * defaults, and races the region doesn't list are left out.
+ */
+
+import { checkBookSpecial } from './books';
+import { loadSettings, saveSettings } from './settings';
+
+// Power each race mode raises the weights to ('normal' is only used for life events)
+export const RACE_MODE_POWERS = { normal: 1, weighted: 1, weighted15: 1.5, weighted20: 2 };
+
+/**
+ * Get the default weight of each race available with the selected books
+ * @param {Object} races - Races data
+ * @param {Object} other - Other data with raceWeights
+ * @param {Array} usedBooks - List of used books
+ * @param {Object|null} region - Region whose race weights replace the defaults
+ * @returns {Object} Race names mapped to weights
+ */
+export function getDefaultRaceWeights(races, other, usedBooks, region = null) {
+  const weights = {};
+  if (region?.races) {
+    for (let raceName in region.races) {
+      const race = races[raceName];
+      if (race && (race._special.includes('PHB') || checkBookSpecial(race._special, usedBooks)))
+        weights[raceName] = region.races[raceName];
+    }
+    return weights;
+  }
+
+  Object.assign(weights, other.raceWeights);
+  for (let raceName in races) {
+    const race = races[raceName];
+    if (race._special.includes('PHB') || !checkBookSpecial(race._special, usedBooks)) continue;
+    weights[raceName] = 1;
+  }
+  return weights;
+}
+
+/**
+ * Get the weight of each available race, with overrides applied and raised to a power
+ * @param {Object} races - Races data
+ * @param {Object} other - Other data with raceWeights
+ * @param {Array} usedBooks - List of used books
+ * @param {number} pow - Power to apply to weights (1, 1.5, or 2)
+ * @param {Object} overrides - Race names mapped to the user's weights
+ * @param {Object|null} region - Region whose race weights replace the defaults
+ * @returns {Object} Race names mapped to weights (races weighted 0 are left out)
+ */
+export function getRaceWeights(races, other, usedBooks, pow = 1, overrides = {}, region = null) {
+  const weights = {};
+  const defaults = getDefaultRaceWeights(races, other, usedBooks, region);
+  for (let raceName in defaults) {
+    const weight = overrides[raceName] ?? defaults[raceName];
+    if (weight > 0) weights[raceName] = Math.pow(weight, pow);
+  }
+
+  // Overrides or a region that leave no race at all are ignored
+  if (Object.keys(weights).length == 0 && (Object.keys(overrides).length > 0 || region))
+    return getRaceWeights(races, other, usedBooks, pow);
+  return weights;
+}
+
+/**
+ * Get the chance of each available race being picked
+ * @param {Object} races - Races data
+ * @param {Object} other - Other data with raceWeights
+ * @param {Array} usedBooks - List of used books
+ * @param {number} pow - Power to apply to weights
+ * @param {Object} overrides - Race names mapped to the user's weights
+ * @param {Object|null} region - Region whose race weights replace the defaults
+ * @returns {Array} Rows {name, defaultWeight, override, probability}, sorted by name
+ */
+export function getRaceProbabilities(races, other, usedBooks, pow = 1, overrides = {}, region = null) {
+  const defaults = getDefaultRaceWeights(races, other, usedBooks, region);
+  const weights = getRaceWeights(races, other, usedBooks, pow, overrides, region);
+  const totalWeight = Object.values(weights).reduce((total, weight) => total + weight, 0);
+
+  return Object.keys(defaults)
+    .sort()
+    .map((raceName) => ({
+      name: raceName,
+      defaultWeight: defaults[raceName],
+      override: overrides[raceName],
+      probability: totalWeight > 0 ? (weights[raceName] || 0) / totalWeight : 0,
+    }));
+}
+
+/**
+ * Load the user's race weight overrides
+ * @returns {Object} Race names mapped to weights
+ */
+export function loadRaceWeights() {
+  return loadSettings().raceWeights || {};
+}
+
+/**
+ * Save the user's race weight overrides
+ * @param {Object} overrides - Race names mapped to weights
+ */
+export function saveRaceWeights(overrides) {
+  saveSettings({ raceWeights: overrides });
+}
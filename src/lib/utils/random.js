@@ -1,16 +1,89 @@
 /**
  * Random utility functions
  * Ported from original char-gen-script.js
+ *
+ * All randomness goes through a seedable PRNG (mulberry32) so a character can
+ * be regenerated from its seed. Until Seed() is called the generator starts
+ * from a random state, so unseeded callers behave like Math.random().
  */
 
+import Trace from './trace';
+
+const SEED_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const SEED_LENGTH = 8;
+
+/**
+ * Hash a seed string into a 32-bit integer (xmur3 finalizer)
+ * @param {string} str - Seed string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(str) {
+  let hash = 1779033703 ^ str.length;
+  for (let index = 0; index < str.length; index++) {
+    hash = Math.imul(hash ^ str.charCodeAt(index), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^= hash >>> 16) >>> 0;
+}
+
+/**
+ * Create a mulberry32 generator from a 32-bit state
+ * @param {number} state - Initial state
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function mulberry32(state) {
+  return function () {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+let generator = mulberry32(Math.floor(Math.random() * 4294967296));
+
 const Random = {
+  /**
+   * Create a new random seed string
+   * Uses Math.random so a fresh seed never depends on the current PRNG state
+   * @returns {string} Seed string (8 base-36 characters)
+   */
+  CreateSeed: function () {
+    let seed = '';
+    for (let index = 0; index < SEED_LENGTH; index++)
+      seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    return seed;
+  },
+
+  /**
+   * Reseed the generator
+   * The stream name lets independent generators (life, traits...) draw from
+   * their own sequence of the same seed, so rerolling one of them alone with
+   * the seed gives the same result as the full generation did.
+   * @param {string|number} seed - Seed value
+   * @param {string} stream - Optional stream name
+   */
+  Seed: function (seed, stream = '') {
+    generator = mulberry32(hashSeed(String(seed) + (stream ? ':' + stream : '')));
+  },
+
+  /**
+   * Generate random float between 0 (inclusive) and 1 (exclusive)
+   * @returns {number} Random float
+   */
+  Float: function () {
+    return generator();
+  },
+
   /**
    * Generate random number between 0 and max-1
    * @param {number} max - Maximum value (exclusive)
    * @returns {number} Random integer
    */
   Num: function (max) {
-    return Math.floor(Math.random() * max);
+    return Math.floor(this.Float() * max);
   },
 
   /**
@@ -19,7 +92,9 @@ const Random = {
    * @returns {*} Random element
    */
   Array: function (arr) {
-    return arr[this.Num(arr.length)];
+    const index = this.Num(arr.length);
+    Trace.Note('Rolled ' + (index + 1) + ' of ' + arr.length, arr[index]);
+    return arr[index];
   },
 
   /**
@@ -36,19 +111,6 @@ const Random = {
     }
     return returnArray.join(', ');
   },
-
-  /**
-   * Roll dice based on dice notation (e.g., '2d6', '1d20')
-   * @param {string} roll - Dice notation string
-   * @returns {number} Total rolled value
-   */
-  DiceRoll: function (roll) {
-    let numbers = roll.split('d');
-    if (numbers.length == 1) return parseInt(numbers[0]);
-    let total = 0;
-    for (let die = 0; die < numbers[0]; die++) total += this.Num(numbers[1]) + 1;
-    return total;
-  },
 };
 
 export default Random;
@@ -0,0 +1,80 @@
+/**
+ * Regional demographics
+ * A region (a world, country or settlement) sets its own odds for the people
+ * generated there. Regions come from regions.json and homebrew books:
+ *
+ *   'Port City': {
+ *     description: 'A crowded harbor city...',
+ *     races: { Human: 40, Halfling: 10, ... },         race weights; unlisted races don't appear
+ *     ethnicities: { Chondathan: 6, Spanish: 4, ... },  human ethnicity weights (standard and real)
+ *     occupations: { entries: [...] },                  table used instead of npcs.occupations
+ *     alignments: { roll: '3d6', entries: [...] }       table used instead of life.tables.Alignment
+ *   }
+ *
+ * Every part is optional; missing parts use the global defaults. Tables use the
+ * formats of Tables.Roll.
+ */
+
+import Tables from './tables';
+
+const REGION_PARTS = ['description', 'races', 'ethnicities', 'occupations', 'alignments'];
+
+/**
+ * Find a region by name
+ * @param {Object} regions - Regions data
+ * @param {string} regionName - Region name ('None' or empty for the global defaults)
+ * @returns {Object|null} Region with its name, or null for the global defaults
+ */
+export function getRegion(regions, regionName) {
+  if (!regionName || !regions?.[regionName]) return null;
+  return { name: regionName, ...regions[regionName] };
+}
+
+/**
+ * Keep the region's weights for the given names
+ * @param {Object} weights - Names mapped to weights (may be undefined)
+ * @param {Array} names - Names that can be rolled, e.g. the current ethnicity list
+ * @returns {Object|null} Weights of the names the region lists, or null if it lists none
+ */
+export function filterRegionWeights(weights, names) {
+  if (!weights) return null;
+  const filtered = {};
+  names.filter((name) => weights[name] > 0).forEach((name) => (filtered[name] = weights[name]));
+  return Object.keys(filtered).length > 0 ? filtered : null;
+}
+
+/**
+ * Check that a region is in the format above
+ * @param {*} region - Region to check
+ * @param {Object} races - Races data, to check race names
+ * @returns {Array} Problems found (empty when the region is valid)
+ */
+export function validateRegion(region, races) {
+  if (region === null || typeof region != 'object' || Array.isArray(region)) return ['should be an object'];
+
+  const problems = [];
+  for (let part in region) {
+    if (!REGION_PARTS.includes(part)) problems.push(`has unknown part "${part}" (use ${REGION_PARTS.join(', ')})`);
+  }
+  if (region.description !== undefined && typeof region.description != 'string')
+    problems.push('description should be a string');
+
+  ['races', 'ethnicities'].forEach((part) => {
+    if (region[part] === undefined) return;
+    if (region[part] === null || typeof region[part] != 'object' || Array.isArray(region[part])) {
+      problems.push(`${part} should map names to weights`);
+      return;
+    }
+    for (let name in region[part]) {
+      if (typeof region[part][name] != 'number' || region[part][name] < 0)
+        problems.push(`${part} > ${name} needs a weight of 0 or more`);
+      else if (part == 'races' && !races[name]) problems.push(`races > ${name} is not a known race`);
+    }
+  });
+
+  ['occupations', 'alignments'].forEach((part) => {
+    if (region[part] === undefined) return;
+    Tables.Validate(region[part]).forEach((problem) => problems.push(part + ' ' + problem));
+  });
+  return problems;
+}
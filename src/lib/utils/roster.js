@@ -0,0 +1,211 @@
+/**
+ * Character roster storage
+ * Saves D&D and Dark Dawn characters to the browser. Entries live in
+ * localStorage; small portraits are kept with them, large ones (or any that
+ * don't fit) fall back to IndexedDB.
+ */
+
+const STORAGE_KEY = 'dnd-char-gen-roster';
+const DB_NAME = 'dnd-char-gen-roster';
+const DB_STORE = 'portraits';
+const MAX_INLINE_PORTRAIT = 100000; // Characters of data URL kept in localStorage
+
+/**
+ * Open the portrait database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openPortraitDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the portrait store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Gets the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function portraitRequest(mode, makeRequest) {
+  const db = await openPortraitDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(DB_STORE, mode);
+    const request = makeRequest(transaction.objectStore(DB_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Read all entries from localStorage
+ * @returns {Array} Roster entries
+ */
+function readEntries() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write all entries to localStorage
+ * @param {Array} entries - Roster entries
+ */
+function writeEntries(entries) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+}
+
+/**
+ * Check whether an error means localStorage is full
+ * @param {Error} error - Error thrown by localStorage.setItem
+ * @returns {boolean} True for quota errors
+ */
+function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+}
+
+/**
+ * Create a unique entry id
+ * @returns {string} Entry id
+ */
+function createId() {
+  return Date.now().toString(36) + '-' + Math.floor(Math.random() * 1e9).toString(36);
+}
+
+/**
+ * Load all roster entries (portraits stored in IndexedDB are not loaded)
+ * @returns {Promise<Array>} Roster entries, newest first
+ */
+export async function loadRoster() {
+  return readEntries().sort((a, b) => b.created.localeCompare(a.created));
+}
+
+/**
+ * Save a character to the roster
+ * @param {Object} entry - {system, name, tags, character, portrait}; an existing id updates that entry
+ * @returns {Promise<Object>} Saved entry
+ */
+export async function saveRosterEntry(entry) {
+  const entries = readEntries();
+  const existing = entries.find((saved) => saved.id === entry.id);
+  const saved = {
+    id: existing ? existing.id : createId(),
+    system: entry.system,
+    name: entry.name || 'Unnamed Character',
+    tags: entry.tags || [],
+    created: existing ? existing.created : new Date().toISOString(),
+    character: entry.character,
+    portrait: entry.portrait || null,
+    portraitStore: entry.portrait ? 'local' : null,
+  };
+
+  const others = entries.filter((other) => other.id !== saved.id);
+  if (existing?.portraitStore === 'indexeddb') await deletePortrait(saved.id);
+
+  // Move the portrait to IndexedDB, keeping only the entry in localStorage
+  const storePortraitInDB = async () => {
+    await portraitRequest('readwrite', (store) => store.put(saved.portrait, saved.id));
+    saved.portrait = null;
+    saved.portraitStore = 'indexeddb';
+  };
+
+  if (saved.portrait && saved.portrait.length > MAX_INLINE_PORTRAIT) {
+    try {
+      await storePortraitInDB();
+    } catch (error) {
+      console.error('Error storing portrait in IndexedDB:', error);
+    }
+  }
+
+  try {
+    writeEntries([...others, saved]);
+  } catch (error) {
+    if (!isQuotaError(error) || saved.portraitStore !== 'local') throw error;
+    await storePortraitInDB();
+    writeEntries([...others, saved]);
+  }
+
+  return saved;
+}
+
+/**
+ * Get the portrait of an entry, wherever it is stored
+ * @param {Object} entry - Roster entry
+ * @returns {Promise<string|null>} Portrait data URL
+ */
+export async function getRosterPortrait(entry) {
+  if (entry.portraitStore === 'indexeddb') {
+    return (await portraitRequest('readonly', (store) => store.get(entry.id))) || null;
+  }
+  return entry.portrait || null;
+}
+
+/**
+ * Delete a portrait from IndexedDB (ignored when IndexedDB is unavailable)
+ * @param {string} id - Entry id
+ */
+async function deletePortrait(id) {
+  try {
+    await portraitRequest('readwrite', (store) => store.delete(id));
+  } catch (error) {
+    console.error('Error deleting portrait:', error);
+  }
+}
+
+/**
+ * Delete an entry from the roster
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteRosterEntry(id) {
+  const entries = readEntries();
+  const entry = entries.find((saved) => saved.id === id);
+  if (!entry) return;
+  if (entry.portraitStore === 'indexeddb') await deletePortrait(id);
+  writeEntries(entries.filter((saved) => saved.id !== id));
+}
+
+/**
+ * Duplicate an entry (including its portrait) under a new id
+ * @param {string} id - Entry id
+ * @returns {Promise<Object|null>} New entry
+ */
+export async function duplicateRosterEntry(id) {
+  const entry = readEntries().find((saved) => saved.id === id);
+  if (!entry) return null;
+  const portrait = await getRosterPortrait(entry);
+  return saveRosterEntry({
+    system: entry.system,
+    name: entry.name + ' (Copy)',
+    tags: entry.tags,
+    character: entry.character,
+    portrait: portrait,
+  });
+}
+
+/**
+ * Parse a comma-separated tag string
+ * @param {string} tagString - Tags, e.g. 'villain, waterdeep'
+ * @returns {Array} Unique, trimmed tags
+ */
+export function parseTags(tagString) {
+  const tags = tagString
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter((tag) => tag.length > 0);
+  return tags.filter((tag, index) => tags.indexOf(tag) === index);
+}
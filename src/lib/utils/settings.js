@@ -0,0 +1,34 @@
+/**
+ * User settings storage
+ * Keeps generator settings (such as the book selection) in localStorage
+ */
+
+const SETTINGS_KEY = 'dnd-char-gen-settings';
+
+/**
+ * Load saved settings
+ * @returns {Object} Settings (empty outside the browser or when nothing is saved)
+ */
+export function loadSettings() {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save some settings, keeping the others
+ * @param {Object} changes - Settings to change, e.g. {books: ['XGtE']}
+ * @returns {Object} All settings
+ */
+export function saveSettings(changes) {
+  const settings = { ...loadSettings(), ...changes };
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Error saving settings:', err);
+  }
+  return settings;
+}
@@ -0,0 +1,125 @@
+/**
+ * Random table roller
+ * Every random table in the data goes through Roll, so odds can be retuned in
+ * the JSON instead of in code. Three table formats are supported:
+ *
+ *   List:     ['Result A', 'Result B']              each entry equally likely
+ *   Weighted: { entries: [{ weight: 3, value: 'Common' }, { weight: 1, value: 'Rare' }] }
+ *   Dice:     { roll: '3d6', entries: [{ max: 5, value: 'Low' }, { max: 12, value: 'Mid' }, { value: 'High' }] }
+ *
+ * Dice tables roll the expression (plus any modifier) and take the first entry
+ * whose max is at least the roll; an entry without max catches everything above.
+ * A d100 table is written the same way, e.g. { roll: '1d100', entries: [{ max: 5, ... }] }.
+ *
+ * Entries of weighted and dice tables may also have:
+ *   book:  only used when one of these books (e.g. 'EBR' or 'EBR/TCoE') is selected
+ *   value: a list, to pick one of them at random
+ *   any other property, returned to the caller with RollEntry
+ */
+
+import Random from './random';
+import Dice from './dice';
+import Trace from './trace';
+
+/**
+ * Check whether an entry's books are selected
+ * @param {Object} entry - Table entry
+ * @param {Array|null} usedBooks - Selected books (null skips the check)
+ * @returns {boolean} True if the entry can be rolled
+ */
+function isAvailable(entry, usedBooks) {
+  if (!entry.book || usedBooks == null) return true;
+  return entry.book.split('/').some((book) => usedBooks.includes(book));
+}
+
+const Tables = {
+  /**
+   * Roll on a table and return the chosen entry
+   * @param {Array|Object} table - List, weighted table or dice table
+   * @param {Array|null} usedBooks - Selected books, to skip entries from other books
+   * @param {number} modifier - Added to the roll of dice tables
+   * @returns {Object} Chosen entry ({value} for list tables)
+   */
+  RollEntry: function (table, usedBooks = null, modifier = 0) {
+    if (Array.isArray(table)) return { value: Random.Array(table) };
+
+    const entries = table.entries.filter((entry) => isAvailable(entry, usedBooks));
+
+    if (table.roll !== undefined) {
+      const roll = Dice.Total(table.roll) + modifier;
+      const entry = entries.find((entry) => entry.max === undefined || roll <= entry.max);
+      const modifierText = modifier ? ' ' + (modifier > 0 ? '+' : '') + modifier : '';
+      Trace.Note('Rolled ' + roll + ' on ' + table.roll + modifierText, entry?.value);
+      return entry;
+    }
+
+    // Weights don't have to be whole numbers (e.g. race weights raised to a power)
+    const totalWeight = entries.reduce((total, entry) => total + entry.weight, 0);
+    let rand = Random.Float() * totalWeight;
+    const roll = Math.floor(rand) + 1;
+    const entry = entries.find((entry) => (rand -= entry.weight) < 0);
+    Trace.Note('Weighted roll ' + roll + ' of ' + Math.ceil(totalWeight), entry?.value);
+    return entry;
+  },
+
+  /**
+   * Roll on a table and return the chosen value
+   * @param {Array|Object} table - List, weighted table or dice table
+   * @param {Array|null} usedBooks - Selected books, to skip entries from other books
+   * @param {number} modifier - Added to the roll of dice tables
+   * @returns {*} Chosen value (one of them, when the entry lists several)
+   */
+  Roll: function (table, usedBooks = null, modifier = 0) {
+    const value = this.RollEntry(table, usedBooks, modifier)?.value;
+    return Array.isArray(value) && !Array.isArray(table) ? Random.Array(value) : value;
+  },
+
+  /**
+   * Build a weighted table from an object of weights
+   * @param {Object} weights - Values mapped to weights, e.g. {Human: 10, Elf: 3}
+   * @returns {Object} Weighted table
+   */
+  FromWeights: function (weights) {
+    return { entries: Object.keys(weights).map((value) => ({ weight: weights[value], value: value })) };
+  },
+
+  /**
+   * Check that a table is in one of the supported formats
+   * @param {*} table - Table to check
+   * @returns {Array} Problems found (empty when the table is valid)
+   */
+  Validate: function (table) {
+    if (Array.isArray(table)) return table.length > 0 ? [] : ['is an empty list'];
+    if (table === null || typeof table != 'object' || !Array.isArray(table.entries))
+      return ['should be a list or a table with entries'];
+
+    const problems = [];
+    if (table.entries.length == 0) problems.push('has no entries');
+    if (table.roll !== undefined) {
+      try {
+        Dice.Parse(table.roll);
+      } catch (err) {
+        problems.push(err.message);
+      }
+      let lastMax = -Infinity;
+      table.entries.forEach((entry, index) => {
+        if (entry.max === undefined) {
+          if (index < table.entries.length - 1) problems.push(`entry ${index + 1} has no max but is not the last entry`);
+        } else if (typeof entry.max != 'number') problems.push(`entry ${index + 1} max should be a number`);
+        else if (entry.max <= lastMax) problems.push(`entry ${index + 1} max should be above the previous entry's`);
+        else lastMax = entry.max;
+      });
+    } else {
+      table.entries.forEach((entry, index) => {
+        if (typeof entry.weight != 'number' || entry.weight < 0)
+          problems.push(`entry ${index + 1} needs a weight of 0 or more`);
+      });
+    }
+    table.entries.forEach((entry, index) => {
+      if (entry.value === undefined) problems.push(`entry ${index + 1} has no value`);
+    });
+    return problems;
+  },
+};
+
+export default Tables;
@@ -0,0 +1,104 @@
+/**
+ * Generation trace (explain mode)
+ * While a trace is running, generators record their decisions as a tree:
+ * groups for each part being generated, and notes for each table rolled, book
+ * filter applied and entry chosen. Random and Dice record their own rolls, so
+ * every random value shows up under the group that asked for it.
+ *
+ * Tracing is off unless Start() is called, and costs nothing then.
+ */
+
+const MAX_DETAIL_LENGTH = 120;
+
+let root = null; // Trace being recorded, or null when tracing is off
+let current = null; // Group new decisions are added to
+
+const Trace = {
+  /**
+   * Start recording a trace
+   * @param {string} label - Label for the whole trace, e.g. 'Character'
+   */
+  Start: function (label) {
+    root = { label: label, children: [] };
+    current = root;
+  },
+
+  /**
+   * Stop recording
+   * @returns {Object|null} Trace tree {label, children: [{label, detail?, children?}]}
+   */
+  Stop: function () {
+    const trace = root;
+    root = null;
+    current = null;
+    return trace;
+  },
+
+  /**
+   * Check whether a trace is being recorded
+   * @returns {boolean} True while tracing
+   */
+  IsActive: function () {
+    return root !== null;
+  },
+
+  /**
+   * Run a function inside a named group; groups with no decisions are left out
+   * @param {string} label - Group label, e.g. 'Race' or 'Physical Characteristics'
+   * @param {Function} generate - Function to run
+   * @returns {*} Whatever generate returns
+   */
+  Group: function (label, generate) {
+    if (root === null) return generate();
+    const parent = current,
+      group = { label: label, children: [] };
+    current = group;
+    try {
+      return generate();
+    } finally {
+      current = parent;
+      if (group.children.length > 0) parent.children.push(group);
+    }
+  },
+
+  /**
+   * Run a function inside a named group and record what it returned
+   * @param {string} label - Group label
+   * @param {Function} generate - Function to run
+   * @returns {*} Whatever generate returns
+   */
+  Step: function (label, generate) {
+    return this.Group(label, () => {
+      const result = generate();
+      this.Note('Result', result);
+      return result;
+    });
+  },
+
+  /**
+   * Record a decision
+   * @param {string} label - What was decided, e.g. 'Rolled 3 of 12'
+   * @param {*} detail - The outcome (values are shortened for display)
+   */
+  Note: function (label, detail) {
+    if (root === null) return;
+    current.children.push({ label: label, detail: this.Describe(detail) });
+  },
+
+  /**
+   * Describe a value in one short line
+   * @param {*} value - Value
+   * @returns {string} Description
+   */
+  Describe: function (value) {
+    let text;
+    if (value === undefined) return '';
+    if (value === null) text = 'nothing';
+    else if (typeof value != 'object') text = String(value);
+    else if (typeof value.name == 'string') text = value.name;
+    else text = JSON.stringify(value);
+    return text.length > MAX_DETAIL_LENGTH ? text.slice(0, MAX_DETAIL_LENGTH - 1) + '…' : text;
+  },
+};
+
+export default Trace;